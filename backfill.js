@@ -0,0 +1,172 @@
+// Backfill Script for Product Hunt
+// Scrapes every daily leaderboard in a date range, one run per day, without
+// touching .env. Progress is kept in its own state file so an interrupted
+// backfill picks up where it stopped, and separate backfills can run side by side.
+//
+// Usage: node backfill.js --from 2025-03-01 --to 2025-03-17 [--direction backward|forward]
+//                         [--output-dir ./backfills] [--state ./backfill-state/my-backfill.json]
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { buildLeaderboardUrl, getLeaderboardPeriodForDate, shiftLeaderboardPeriod, formatLeaderboardPeriod } = require('./utils');
+
+const stateDir = path.join(__dirname, 'backfill-state');
+
+/**
+ * Parse command line options of the form --name value
+ * @param {Array} args - Command line arguments
+ * @returns {Object} - Options by name
+ */
+function parseArgs(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      options[args[i].slice(2)] = args[i + 1] && !args[i + 1].startsWith('--') ? args[++i] : 'true';
+    }
+  }
+  return options;
+}
+
+/**
+ * Parse a YYYY-MM-DD date as a local calendar date
+ * @param {string} value - Date string
+ * @returns {Date|null} - Date, or null if it is not a valid date
+ */
+function parseDay(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  if (!match) return null;
+
+  const date = new Date(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10));
+  return formatLeaderboardPeriod(getLeaderboardPeriodForDate('daily', date)) === value ? date : null;
+}
+
+/**
+ * List the daily leaderboards of a date range in processing order
+ * @param {Date} from - First day of the range
+ * @param {Date} to - Last day of the range
+ * @param {string} direction - 'backward' (newest first) or 'forward' (oldest first)
+ * @returns {Array} - Leaderboard periods
+ */
+function listDays(from, to, direction) {
+  let first = getLeaderboardPeriodForDate('daily', from);
+  let last = getLeaderboardPeriodForDate('daily', to);
+  if (formatLeaderboardPeriod(first) > formatLeaderboardPeriod(last)) {
+    [first, last] = [last, first];
+  }
+
+  const days = [];
+  for (let day = first; formatLeaderboardPeriod(day) <= formatLeaderboardPeriod(last); day = shiftLeaderboardPeriod(day, 1)) {
+    days.push(day);
+  }
+
+  return direction === 'backward' ? days.reverse() : days;
+}
+
+/**
+ * Load the state of a backfill, or start a new one
+ * @param {string} statePath - Path of the state file
+ * @param {Object} range - Backfill range ({from, to, direction})
+ * @returns {Object} - Backfill state
+ */
+function loadState(statePath, range) {
+  if (fs.existsSync(statePath)) {
+    const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    console.log(`Continuing backfill from ${statePath}: ${Object.keys(state.completed).length} days already completed`);
+    return state;
+  }
+
+  return {
+    ...range,
+    startedAt: new Date().toISOString(),
+    updatedAt: '',
+    completed: {},
+    failed: {}
+  };
+}
+
+/**
+ * Write the backfill state atomically
+ * @param {string} statePath - Path of the state file
+ * @param {Object} state - Backfill state
+ */
+function saveState(statePath, state) {
+  state.updatedAt = new Date().toISOString();
+
+  fs.mkdirSync(path.dirname(statePath), { recursive: true });
+  const tempPath = `${statePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(state, null, 2));
+  fs.renameSync(tempPath, statePath);
+}
+
+// Main function
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const from = parseDay(options.from);
+  const to = parseDay(options.to);
+  const direction = options.direction || 'backward';
+
+  if (!from || !to || !['backward', 'forward'].includes(direction)) {
+    console.error('Usage: node backfill.js --from YYYY-MM-DD --to YYYY-MM-DD [--direction backward|forward] [--output-dir dir] [--state file]');
+    process.exit(1);
+  }
+
+  const range = { from: options.from, to: options.to, direction };
+  const statePath = path.resolve(options.state || path.join(stateDir, `backfill_${range.from}_${range.to}_${direction}.json`));
+  const outputDir = path.resolve(options['output-dir'] || path.join(__dirname, 'backfills'));
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  const state = loadState(statePath, range);
+  const days = listDays(from, to, direction);
+  console.log(`Backfilling ${days.length} daily leaderboards ${direction} from ${formatLeaderboardPeriod(days[0])} to ${formatLeaderboardPeriod(days[days.length - 1])}`);
+
+  for (const day of days) {
+    const label = formatLeaderboardPeriod(day);
+    if (state.completed[label]) {
+      console.log(`Skipping ${label}, already completed`);
+      continue;
+    }
+
+    const targetUrl = buildLeaderboardUrl(day);
+    const outputFile = path.join(outputDir, `product_hunt_data_${label}.csv`);
+
+    // A day that was started before may have left a checkpoint behind, so resume it
+    const args = ['index.js'];
+    if (state.failed[label]) {
+      args.push('--resume');
+    }
+
+    console.log(`\nScraping ${label}: ${targetUrl}`);
+    state.failed[label] = { error: 'interrupted', attemptedAt: new Date().toISOString() };
+    saveState(statePath, state);
+
+    // Settings are passed to the run through its own environment; .env is only read, never written
+    const result = spawnSync(process.execPath, args, {
+      cwd: __dirname,
+      stdio: 'inherit',
+      env: { ...process.env, TARGET_URL: targetUrl, OUTPUT_FILE: outputFile }
+    });
+
+    if (result.status === 0) {
+      delete state.failed[label];
+      state.completed[label] = { targetUrl, outputFile, completedAt: new Date().toISOString() };
+      console.log(`Finished ${label}, CSV saved to ${outputFile}`);
+    } else {
+      const error = result.error ? result.error.message : `exit code ${result.status}`;
+      state.failed[label] = { error, attemptedAt: new Date().toISOString() };
+      console.error(`Scraper failed for ${label} (${error}), continuing with the next day`);
+    }
+
+    saveState(statePath, state);
+  }
+
+  const failedDays = Object.keys(state.failed);
+  console.log(`\nBackfill finished: ${Object.keys(state.completed).length} days completed, ${failedDays.length} failed`);
+  if (failedDays.length > 0) {
+    console.log(`Failed days: ${failedDays.join(', ')}. Run the same command again to retry them.`);
+    process.exit(1);
+  }
+}
+
+// Run the main function
+main();
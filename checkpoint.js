@@ -0,0 +1,112 @@
+// Checkpoint Module
+// Persists per-product progress of a scrape so an interrupted run can be
+// resumed with --resume instead of starting over.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const checkpointsDir = path.join(__dirname, 'checkpoints');
+
+/**
+ * Get the checkpoint file path for a target URL
+ * @param {string} targetUrl - Leaderboard or topic URL being scraped
+ * @returns {string} - Path of the checkpoint file
+ */
+function getCheckpointPath(targetUrl) {
+  const hash = crypto.createHash('sha1').update(targetUrl).digest('hex').slice(0, 16);
+  return path.join(checkpointsDir, `checkpoint_${hash}.json`);
+}
+
+/**
+ * Write a checkpoint atomically so a crash mid-write never corrupts it
+ * @param {Object} checkpoint - Checkpoint to write
+ */
+function writeCheckpoint(checkpoint) {
+  checkpoint.updatedAt = new Date().toISOString();
+
+  const checkpointPath = getCheckpointPath(checkpoint.targetUrl);
+  const tempPath = `${checkpointPath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(checkpoint, null, 2));
+  fs.renameSync(tempPath, checkpointPath);
+}
+
+/**
+ * Load the checkpoint of an earlier run for a target URL
+ * @param {string} targetUrl - Leaderboard or topic URL being scraped
+ * @returns {Object|null} - Checkpoint, or null if there is none
+ */
+function loadCheckpoint(targetUrl) {
+  const checkpointPath = getCheckpointPath(targetUrl);
+  if (!fs.existsSync(checkpointPath)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(checkpointPath, 'utf8'));
+  } catch (error) {
+    console.error(`Error reading checkpoint ${checkpointPath}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Start a new checkpoint for a target URL, replacing any earlier one
+ * @param {string} targetUrl - Leaderboard or topic URL being scraped
+ * @param {string} csvFilePath - Output file the run writes to
+ * @returns {Object} - New checkpoint
+ */
+function createCheckpoint(targetUrl, csvFilePath) {
+  fs.mkdirSync(checkpointsDir, { recursive: true });
+
+  const checkpoint = {
+    targetUrl,
+    csvFilePath,
+    startedAt: new Date().toISOString(),
+    updatedAt: '',
+    completed: {}
+  };
+
+  writeCheckpoint(checkpoint);
+  return checkpoint;
+}
+
+/**
+ * Record a completed product and its CSV records
+ * @param {Object} checkpoint - Checkpoint of the current run
+ * @param {string} productUrl - URL of the completed product
+ * @param {Array} records - CSV records produced for the product
+ */
+function saveCompletedProduct(checkpoint, productUrl, records) {
+  checkpoint.completed[productUrl] = records;
+  writeCheckpoint(checkpoint);
+}
+
+/**
+ * Record the SQLite run a checkpoint belongs to, so a resumed run keeps
+ * writing to it even if it crashed before finishing a product
+ * @param {Object} checkpoint - Checkpoint of the current run
+ * @param {number} runId - Id of the run in the SQLite store
+ */
+function saveRunId(checkpoint, runId) {
+  checkpoint.runId = runId;
+  writeCheckpoint(checkpoint);
+}
+
+/**
+ * Delete a checkpoint once its run has been finalized
+ * @param {Object} checkpoint - Checkpoint to delete
+ */
+function removeCheckpoint(checkpoint) {
+  const checkpointPath = getCheckpointPath(checkpoint.targetUrl);
+  if (fs.existsSync(checkpointPath)) {
+    fs.unlinkSync(checkpointPath);
+  }
+}
+
+module.exports = {
+  loadCheckpoint,
+  createCheckpoint,
+  saveCompletedProduct,
+  saveRunId,
+  removeCheckpoint
+};
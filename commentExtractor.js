@@ -0,0 +1,164 @@
+// Comment Extractor Module
+const cheerio = require('cheerio');
+const { delay, cleanText, parseCount } = require('./utils');
+
+// Elements named after a comment: the comments themselves and their parts
+const COMMENT_SELECTORS = '[data-test^="comment-"], [id^="comment-"], [class*="comment_"], [class*="Comment_"]';
+
+// Names of comment parts and lists, e.g. "comment-body" or "Comment_header__x1y2"
+const COMMENT_PART_PATTERN = /comment[-_]*(?:header|body|text|content|author|user|avatar|footer|actions|meta|date|time|vote|upvote|reply|replies|thread|list|form|input|button|count)/i;
+
+/**
+ * Check whether an element is a whole comment rather than a part of one or a list
+ * @param {Object} $ - Cheerio instance
+ * @param {Object} element - Element matched by COMMENT_SELECTORS
+ * @returns {boolean} - True for the comment's root element
+ */
+function isCommentRoot($, element) {
+  const names = [$(element).attr('data-test'), $(element).attr('id'), ...($(element).attr('class') || '').split(/\s+/)]
+    .filter(name => name && /comment/i.test(name));
+  return names.length > 0 && !names.some(name => COMMENT_PART_PATTERN.test(name));
+}
+
+/**
+ * Expand collapsed comment threads on a product page
+ * @param {Object} page - Puppeteer page object with the product page loaded
+ * @param {number} maxRounds - Maximum number of "show more" rounds
+ * @returns {number} - Number of buttons clicked
+ */
+async function loadAllComments(page, maxRounds = 10) {
+  let clicked = 0;
+
+  for (let round = 0; round < maxRounds; round++) {
+    // Click every visible "show more" style button in one pass
+    const clickedThisRound = await page.evaluate(() => {
+      const buttons = Array.from(document.querySelectorAll('button, a[role="button"]')).filter(el => {
+        const text = el.textContent.toLowerCase().trim();
+        return text.includes('more comment') ||
+               text.includes('more repl') ||
+               text.includes('view replies') ||
+               text.includes('show replies') ||
+               text === 'load more' ||
+               text === 'show more';
+      });
+
+      buttons.forEach(button => button.click());
+      return buttons.length;
+    });
+
+    if (clickedThisRound === 0) {
+      break;
+    }
+
+    clicked += clickedThisRound;
+    console.log(`Expanded ${clickedThisRound} comment threads (round ${round + 1})`);
+
+    // Wait for the new comments to render
+    await delay(1500);
+  }
+
+  return clicked;
+}
+
+/**
+ * Extract comments from product page HTML
+ * @param {string} html - Product page HTML
+ * @param {Array} makerUrls - Profile URLs of the product's makers
+ * @returns {Array} - Comments ({authorName, authorUrl, text, timestamp, upvotes, isMaker})
+ */
+function extractCommentsFromHtml(html, makerUrls = []) {
+  const $ = cheerio.load(html);
+  const comments = [];
+
+  // Headers and bodies match the selectors too; only whole comments are read
+  const commentElements = $(COMMENT_SELECTORS).filter((_, element) => isCommentRoot($, element));
+
+  commentElements.each((_, element) => {
+    try {
+      const comment = $(element);
+
+      // Replies nested in a comment are picked up on their own, so only read this comment's own elements
+      const findOwn = (selector) => comment.find(selector).filter((_, node) => {
+        return $(node).parentsUntil(comment).addBack()
+          .filter((_, parent) => $(parent).is(COMMENT_SELECTORS) && isCommentRoot($, parent)).length === 0;
+      });
+
+      const authorLink = findOwn('a[href^="/@"]').first();
+      if (authorLink.length === 0) {
+        return;
+      }
+
+      const authorPath = authorLink.attr('href').split('?')[0];
+      const authorUrl = `https://www.producthunt.com${authorPath}`;
+      const authorName = cleanText(authorLink.text()) || authorPath.replace('/@', '');
+
+      // Prefer an explicit body element, otherwise the longest block that isn't the author header
+      let text = cleanText(findOwn('[data-test*="comment-body"], [class*="body"], [class*="Body"]').first().text());
+      if (!text) {
+        findOwn('p, div').each((_, block) => {
+          const blockText = cleanText($(block).text());
+          if (blockText.length > text.length && $(block).find('a[href^="/@"]').length === 0) {
+            text = blockText;
+          }
+        });
+      }
+
+      if (!text) {
+        return;
+      }
+
+      const timeElement = findOwn('time').first();
+      const timestamp = timeElement.attr('datetime') || cleanText(timeElement.text());
+
+      // Upvote buttons show e.g. "Upvote (12)" or just "12"
+      const upvoteButton = findOwn('button').filter((_, button) => /upvote|^\s*\d+\s*$/i.test($(button).text())).first();
+      const upvotes = upvoteButton.length > 0 ? parseCount(upvoteButton.text()) : '';
+
+      const hasMakerBadge = findOwn('span, div').filter((_, badge) => cleanText($(badge).text()) === 'Maker').length > 0;
+
+      comments.push({
+        authorName,
+        authorUrl,
+        text,
+        timestamp: timestamp || '',
+        upvotes: upvotes === '' ? 0 : upvotes,
+        isMaker: hasMakerBadge || makerUrls.includes(authorUrl)
+      });
+    } catch (error) {
+      console.error(`Error extracting comment: ${error.message}`);
+    }
+  });
+
+  return comments;
+}
+
+/**
+ * Pick the commenters to contact: authors who are not makers, most upvoted comment first
+ * @param {Array} comments - Comments as returned by extractCommentsFromHtml
+ * @param {number} maxCommenters - Maximum number of commenters to return
+ * @returns {Array} - Commenters ({name, url, comment})
+ */
+function selectCommenters(comments, maxCommenters) {
+  const commenters = new Map();
+
+  const sortedComments = [...comments].sort((a, b) => b.upvotes - a.upvotes);
+  for (const comment of sortedComments) {
+    if (comment.isMaker || commenters.has(comment.authorUrl)) {
+      continue;
+    }
+
+    commenters.set(comment.authorUrl, {
+      name: comment.authorName,
+      url: comment.authorUrl,
+      comment
+    });
+  }
+
+  return Array.from(commenters.values()).slice(0, maxCommenters);
+}
+
+module.exports = {
+  loadAllComments,
+  extractCommentsFromHtml,
+  selectCommenters
+};
@@ -0,0 +1,103 @@
+// Contact Candidates Module
+// Every email, social account, phone number, postal address or contact page
+// found for a maker or product is kept as a candidate with where it came from and how much we trust it, so
+// exports can pick the best one and still see the alternatives.
+
+// Default confidence per source, strongest first
+const SOURCE_CONFIDENCE = {
+  'mailto': 0.9,
+  'tel-link': 0.9,
+  'profile-link': 0.9,
+  'json-ld': 0.85,
+  'humans-txt': 0.8,
+  'meta-tag': 0.8,
+  'microdata': 0.8,
+  'contact-page': 0.8,
+  'footer': 0.7,
+  'obfuscated': 0.7,
+  'address-tag': 0.7,
+  'page-link': 0.65,
+  'page-text': 0.6,
+  'icon': 0.6,
+  'data-attribute': 0.6,
+  // security.txt names the vulnerability inbox, rarely the one for outreach
+  'security-txt': 0.55,
+  'script': 0.4,
+  'page-source': 0.3
+};
+
+/**
+ * Add a candidate to a list, merging it with an earlier sighting of the same
+ * value. The most trusted sighting keeps its provenance.
+ * @param {Array} candidates - Candidate list to add to
+ * @param {Object} candidate - Candidate ({type, value, source, pageUrl, confidence})
+ * @returns {Array} - The same candidate list
+ */
+function addContactCandidate(candidates, candidate) {
+  const value = (candidate.value || '').trim();
+  if (!value) return candidates;
+
+  const normalizedValue = candidate.type === 'email' ? value.toLowerCase() : value;
+  const confidence = candidate.confidence !== undefined ? candidate.confidence : (SOURCE_CONFIDENCE[candidate.source] || 0.5);
+  const entry = {
+    type: candidate.type,
+    value: normalizedValue,
+    source: candidate.source,
+    pageUrl: candidate.pageUrl || '',
+    confidence
+  };
+
+  const existing = candidates.find(other => other.type === entry.type && other.value === entry.value);
+  if (!existing) {
+    candidates.push(entry);
+  } else if (entry.confidence > existing.confidence) {
+    Object.assign(existing, entry);
+  }
+
+  return candidates;
+}
+
+/**
+ * Merge several candidate lists into one
+ * @param {...Array} lists - Candidate lists
+ * @returns {Array} - Merged candidates
+ */
+function mergeContactCandidates(...lists) {
+  const merged = [];
+  for (const list of lists) {
+    for (const candidate of list || []) {
+      addContactCandidate(merged, candidate);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Get the candidates of one type, most trusted first
+ * @param {Array} candidates - Candidate list
+ * @param {string} type - Contact type (email, twitter, linkedin, contact_page, ...)
+ * @returns {Array} - Matching candidates
+ */
+function getContactCandidates(candidates, type) {
+  return (candidates || [])
+    .filter(candidate => candidate.type === type)
+    .sort((a, b) => b.confidence - a.confidence);
+}
+
+/**
+ * Get the most trusted candidate of one type
+ * @param {Array} candidates - Candidate list
+ * @param {string} type - Contact type
+ * @returns {Object|null} - Best candidate, or null if there is none
+ */
+function pickBestContact(candidates, type) {
+  return getContactCandidates(candidates, type)[0] || null;
+}
+
+module.exports = {
+  SOURCE_CONFIDENCE,
+  addContactCandidate,
+  mergeContactCandidates,
+  getContactCandidates,
+  pickBestContact
+};
@@ -1,18 +1,24 @@
 // Contact Extractor Module
 const cheerio = require('cheerio');
-const { delay, randomDelay } = require('./utils');
+const { delay, randomDelay, cleanText, parseCount, parseProductHuntUrl } = require('./utils');
+const { preparePage, capturePage } = require('./pageRecorder');
+const { addContactCandidate, pickBestContact } = require('./contactCandidates');
+const { findEmailsInText, findObfuscatedEmails } = require('./emailDecoder');
+const { parseEmail, isPlaceholderEmail } = require('./emailParser');
+const { pickBestEmail } = require('./emailClassifier');
 
 // Function to extract contact information from a maker's profile
 async function extractContactInfo(browser, makerUrl) {
   // Create a new page for this maker
   const page = await browser.newPage();
+  await preparePage(page);
   
   try {
     // Set user agent to avoid detection
     await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36');
     
     // Navigate to the maker's profile
-    await page.goto(makerUrl, {
+    const response = await page.goto(makerUrl, {
       waitUntil: 'domcontentloaded',
       timeout: 30000
     });
@@ -22,14 +28,18 @@ async function extractContactInfo(browser, makerUrl) {
     // Wait for the page to fully load
     await delay(2000);
     
+    // Save the loaded profile in record mode
+    await capturePage(page, makerUrl, response);
+    
     // Get the HTML content
     const content = await page.content();
     const $ = cheerio.load(content);
     
-    // Initialize contact info
+    // Initialize contact info; every sighting is also kept as a candidate
     let email = '';
     let xId = '';
     let linkedinUrl = '';
+    const contactCandidates = [];
     
     // Look for social links
     const socialLinks = $('a[href*="twitter.com"], a[href*="x.com"], a[href*="linkedin.com"], a[href^="mailto:"], a[href*="/twitter"], a[href*="/linkedin"]');
@@ -39,6 +49,15 @@ async function extractContactInfo(browser, makerUrl) {
       
       if (!href) return;
       
+      // Keep every social link and mailto as a candidate, not just the first
+      if (href.startsWith('mailto:')) {
+        addContactCandidate(contactCandidates, { type: 'email', value: parseEmail(href), source: 'mailto', pageUrl: makerUrl });
+      } else if (href.includes('linkedin.com')) {
+        addContactCandidate(contactCandidates, { type: 'linkedin', value: href, source: 'page-link', pageUrl: makerUrl });
+      } else if (href.includes('twitter.com') || href.includes('x.com')) {
+        addContactCandidate(contactCandidates, { type: 'twitter', value: extractTwitterHandle(href), source: 'page-link', pageUrl: makerUrl });
+      }
+      
       // Check for Twitter/X
       if ((href.includes('twitter.com') || href.includes('x.com')) && !xId) {
         xId = extractTwitterHandle(href);
@@ -52,111 +71,196 @@ async function extractContactInfo(browser, makerUrl) {
       }
       
       // Check for email in href
-      if (href.startsWith('mailto:') && !email) {
-        email = href.replace('mailto:', '').trim().split('?')[0]; // Remove any parameters
+      if (href.startsWith('mailto:') && !email && parseEmail(href)) {
+        email = parseEmail(href);
         console.log(`Found email: ${email}`);
       }
     });
     
     // If email not found in links, look for it in text
     if (!email) {
-      const pageText = $('body').text();
-      // Initial email regex to find potential email addresses
-      const emailRegex = /([a-zA-Z0-9._-]+@[a-zA-Z0-9._-]+\.[a-zA-Z0-9._-]+)/gi;
-      const emailMatches = pageText.match(emailRegex);
+      // Addresses are parsed and trimmed by the shared email parser, so text glued
+      // on by the page layout (e.g. "hello@acme.comFollow") is dropped
+      const emailMatches = findEmailsInText($('body').text()).filter(textEmail => !isPlaceholderEmail(textEmail));
       
-      if (emailMatches && emailMatches.length > 0) {
-        // Get the first email match
-        let rawEmail = emailMatches[0];
-        
-        // Improved cleaning logic for malformed emails
-        // First, extract the basic email pattern
-        const basicEmailMatch = rawEmail.match(/([a-zA-Z0-9._-]+@[a-zA-Z0-9._-]+\.[a-zA-Z0-9._-]+)/i);
-        if (basicEmailMatch && basicEmailMatch[1]) {
-          rawEmail = basicEmailMatch[1];
-        }
-        
-        // Then, find where the valid email ends by looking for common domain endings
-        const domainEndingRegex = /\.(com|org|net|io|ai|co|dev|app|software|edu|gov|biz|info|me|tv|xyz|uk|us|ca|au|de|fr|jp|ru|br|in|cn|nl|se|no|fi|dk|pl|ch|at|be|es|pt|gr|cz|hu|ro|sk|bg|hr|rs|si|lt|lv|ee|ua|by|kz|tr|il|sa|ae|za|ng|ke|eg|ma|dz|tn|gh|ci|cm|sn|mg|mu|re|yt|nc|pf|tf|wf|mq|gp|gf|pm|bl|mf|ws|as|gu|mp|pr|vi|um|fm|pw|mh|vu|sb|fj|to|ck|nu|tk|ki|nr|tv|cx|cc|nf|hm|aq|bv|gs|sj|tc|vg|ms|ky|ai|dm|lc|vc|gd|bb|ag|bs|jm|ht|do|pr|tt|kn|gl|fo|ax|je|gg|im|sh|io|ac|sc|mv|lk|bt|np|bd|pk|lk|mm|th|la|kh|vn|my|sg|bn|id|tl|ph|tw|hk|mo|kr|jp|cn|mn|kp|kz|uz|tm|tj|kg|af|pk|in|np|bt|bd|lk|mv|ph|id|sg|my|bn|tl|kh|la|mm|th|vn|cn|hk|mo|tw|jp|kr|kp|mn|au|nz|fj|vu|to|ws|ck|nu|pf|nc|sb|nr|ki|tv|fm|mh|pw|pg|tk|cx|cc|nf|hm|aq|bv|gs|sj|tc|vg|ms|ky|ai|dm|lc|vc|gd|bb|ag|bs|jm|ht|do|pr|tt|kn|gl|fo|ax|je|gg|im|sh|io|ac|sc|mv|lk|bt|np|bd|pk|lk|mm|th|la|kh|vn|my|sg|bn|id|tl|ph|tw|hk|mo|kr|jp|cn|mn|kp|kz|uz|tm|tj|kg|af|pk|in|np|bt|bd|lk|mv|ph|id|sg|my|bn|tl|kh|la|mm|th|vn|cn|hk|mo|tw|jp|kr|kp|mn|au|nz|fj|vu|to|ws|ck|nu|pf|nc|sb|nr|ki|tv|fm|mh|pw|pg|tk|cx|cc|nf|hm|aq|bv|gs|sj|tc|vg|ms|ky|ai|dm|lc|vc|gd|bb|ag|bs|jm|ht|do|pr|tt|kn|gl|fo|ax|je|gg|im|sh|io|ac|sc)\b/i;
-        const domainEndingMatch = rawEmail.match(domainEndingRegex);
+      if (emailMatches.length > 0) {
+        email = emailMatches[0];
+        console.log(`Found email in text: ${email}`);
+        addContactCandidate(contactCandidates, { type: 'email', value: email, source: 'page-text', pageUrl: makerUrl });
         
-        if (domainEndingMatch) {
-          const endIndex = rawEmail.indexOf(domainEndingMatch[0]) + domainEndingMatch[0].length;
-          email = rawEmail.substring(0, endIndex);
-        } else {
-          // If no standard domain ending found, try to find where the email might end
-          // by looking for non-email characters after a potential domain
-          const nonEmailCharRegex = /\.(com|org|net|io|ai|co|dev|app|software)([^a-zA-Z0-9._-])/i;
-          const nonEmailCharMatch = rawEmail.match(nonEmailCharRegex);
-          
-          if (nonEmailCharMatch) {
-            const endIndex = rawEmail.indexOf(nonEmailCharMatch[2]);
-            email = rawEmail.substring(0, endIndex);
-          } else {
-            email = rawEmail;
-          }
+        // Other addresses in the text are kept as alternatives
+        for (const otherEmail of emailMatches.slice(1)) {
+          addContactCandidate(contactCandidates, { type: 'email', value: otherEmail, source: 'page-text', pageUrl: makerUrl, confidence: 0.5 });
         }
-        
-        console.log(`Found email in text: ${email}`);
       }
     }
     
-    // Try to extract email using JavaScript if not found yet
+    // Addresses hidden with Cloudflare email protection or reversed text
+    for (const { email: decodedEmail, method } of findObfuscatedEmails($)) {
+      console.log(`Decoded obfuscated email (${method}): ${decodedEmail}`);
+      addContactCandidate(contactCandidates, { type: 'email', value: decodedEmail, source: 'obfuscated', pageUrl: makerUrl });
+      email = email || decodedEmail;
+    }
+    
+    // Try the rendered text if not found yet; it can differ from the HTML
     if (!email) {
       console.log('Trying JavaScript extraction for email...');
       
-      const jsEmail = await page.evaluate(() => {
-        // More aggressive email extraction
-        const emailRegex = /([a-zA-Z0-9._-]+@[a-zA-Z0-9._-]+\.[a-zA-Z0-9._-]+)/gi;
-        const pageText = document.body.innerText;
-        const emailMatches = pageText.match(emailRegex);
-        
-        if (emailMatches && emailMatches.length > 0) {
-          // Get the first email match
-          let rawEmail = emailMatches[0];
-          
-          // Clean up the email by finding where the domain ends
-          // Look for common domain endings
-          const domainEndingRegex = /\.(com|org|net|io|ai|co|dev|app|software)\b/i;
-          const domainEndingMatch = rawEmail.match(domainEndingRegex);
-          
-          if (domainEndingMatch) {
-            const endIndex = rawEmail.indexOf(domainEndingMatch[0]) + domainEndingMatch[0].length;
-            return rawEmail.substring(0, endIndex);
-          }
-          
-          // If no standard domain ending found, try to find where the email might end
-          // by looking for non-email characters after a potential domain
-          const nonEmailCharRegex = /\.(com|org|net|io|ai|co|dev|app|software)([^a-zA-Z0-9._-])/i;
-          const nonEmailCharMatch = rawEmail.match(nonEmailCharRegex);
-          
-          if (nonEmailCharMatch) {
-            const endIndex = rawEmail.indexOf(nonEmailCharMatch[2]);
-            return rawEmail.substring(0, endIndex);
-          }
-          
-          return rawEmail;
-        }
-        
-        return '';
-      });
+      const renderedText = await page.evaluate(() => document.body.innerText);
+      const jsEmail = findEmailsInText(renderedText).find(textEmail => !isPlaceholderEmail(textEmail));
       
       if (jsEmail) {
         email = jsEmail;
         console.log(`Found email with JavaScript: ${email}`);
+        addContactCandidate(contactCandidates, { type: 'email', value: email, source: 'page-text', pageUrl: makerUrl });
       }
     }
     
-    return { email, xId, linkedinUrl };
+    // Everything else on the profile: headline, bio, audience, made products and links
+    const profile = extractProfileDetails($, makerUrl);
+    
+    // The maker's own profile links outrank the first match anywhere on the page
+    for (const link of profile.links) {
+      if (link.type === 'twitter') {
+        addContactCandidate(contactCandidates, { type: 'twitter', value: extractTwitterHandle(link.url), source: 'profile-link', pageUrl: makerUrl });
+      } else if (link.type === 'linkedin') {
+        addContactCandidate(contactCandidates, { type: 'linkedin', value: link.url, source: 'profile-link', pageUrl: makerUrl });
+      }
+    }
+    
+    const bestTwitter = pickBestContact(contactCandidates, 'twitter');
+    const bestLinkedin = pickBestContact(contactCandidates, 'linkedin');
+    const bestEmail = pickBestEmail(contactCandidates);
+    xId = bestTwitter ? bestTwitter.value : xId;
+    linkedinUrl = bestLinkedin ? bestLinkedin.value : linkedinUrl;
+    email = bestEmail ? bestEmail.value : email;
+    
+    return { email, xId, linkedinUrl, ...profile, contactCandidates };
   } catch (error) {
     console.error(`Error extracting contact info: ${error.message}`);
-    return { email: '', xId: '', linkedinUrl: '' };
+    return { email: '', xId: '', linkedinUrl: '', ...createEmptyProfile(), contactCandidates: [] };
   } finally {
     // Always close the page to free up resources
     await page.close();
   }
 }
 
+// Link types recognised on a profile, checked in order; anything else external is a website
+const PROFILE_LINK_TYPES = [
+  { type: 'twitter', pattern: /^https?:\/\/(www\.)?(twitter|x)\.com\//i },
+  { type: 'linkedin', pattern: /^https?:\/\/([a-z]{2,3}\.)?linkedin\.com\//i },
+  { type: 'github', pattern: /^https?:\/\/(www\.)?github\.com\//i },
+  { type: 'instagram', pattern: /^https?:\/\/(www\.)?instagram\.com\//i },
+  { type: 'youtube', pattern: /^https?:\/\/(www\.|m\.)?(youtube\.com|youtu\.be)\//i },
+  { type: 'threads', pattern: /^https?:\/\/(www\.)?threads\.(net|com)\//i },
+  { type: 'bluesky', pattern: /^https?:\/\/(www\.)?bsky\.app\//i },
+  { type: 'facebook', pattern: /^https?:\/\/(www\.|m\.)?facebook\.com\//i },
+  { type: 'tiktok', pattern: /^https?:\/\/(www\.)?tiktok\.com\//i },
+  { type: 'medium', pattern: /^https?:\/\/([a-z0-9-]+\.)?medium\.com(\/|$)/i },
+  { type: 'substack', pattern: /^https?:\/\/[a-z0-9-]+\.substack\.com/i },
+  { type: 'dribbble', pattern: /^https?:\/\/(www\.)?dribbble\.com\//i },
+  { type: 'behance', pattern: /^https?:\/\/(www\.)?behance\.net\//i },
+  { type: 'telegram', pattern: /^https?:\/\/(www\.)?(t\.me|telegram\.me)\//i },
+  { type: 'discord', pattern: /^https?:\/\/(www\.)?(discord\.gg|discord\.com)\//i },
+  { type: 'calendly', pattern: /^https?:\/\/(www\.)?calendly\.com\//i },
+  // Mastodon lives on many servers; profiles look like https://server/@user
+  { type: 'mastodon', pattern: /^https?:\/\/[a-z0-9.-]+\/@[a-z0-9_]+\/?$/i }
+];
+
+// Product Hunt's own accounts, linked from the page chrome of every profile
+const PRODUCT_HUNT_ACCOUNTS = /\/(producthunt|ProductHunt|product-hunt)\/?$/;
+
+/**
+ * Classify an external profile link
+ * @param {string} url - Link URL
+ * @returns {string} - Link type (twitter, github, mastodon, ..., or website)
+ */
+function classifyProfileLink(url) {
+  const match = PROFILE_LINK_TYPES.find(linkType => linkType.pattern.test(url));
+  return match ? match.type : 'website';
+}
+
+/**
+ * Profile fields returned when a profile could not be read
+ * @returns {Object} - Empty profile
+ */
+function createEmptyProfile() {
+  return {
+    headline: '',
+    bio: '',
+    followers: '',
+    following: '',
+    madeProducts: [],
+    links: []
+  };
+}
+
+/**
+ * Extract the descriptive parts of a maker profile
+ * @param {Object} $ - Cheerio instance of the profile page
+ * @param {string} makerUrl - Profile URL
+ * @returns {Object} - Profile ({headline, bio, followers, following, madeProducts, links})
+ */
+function extractProfileDetails($, makerUrl) {
+  const profile = createEmptyProfile();
+  
+  // Page chrome repeats on every profile and holds Product Hunt's own links
+  const main = $('main').length > 0 ? $('main').first() : $('body');
+  main.find('header nav, footer, nav[aria-label]').remove();
+  
+  // Headline sits right under the name
+  const headlineElement = main.find('[data-test="user-headline"], [class*="headline"]').first();
+  if (headlineElement.length > 0) {
+    profile.headline = cleanText(headlineElement.text());
+  } else {
+    const nameHeading = main.find('h1').first();
+    profile.headline = cleanText(nameHeading.next().text());
+  }
+  
+  // Bio is the text under an "About" heading
+  const bioElement = main.find('[data-test="user-about"], [class*="about"] p, [class*="bio"]').first();
+  if (bioElement.length > 0) {
+    profile.bio = cleanText(bioElement.text());
+  } else {
+    const aboutHeading = main.find('h2, h3').filter((_, heading) => cleanText($(heading).text()).toLowerCase() === 'about').first();
+    profile.bio = cleanText(aboutHeading.next().text());
+  }
+  
+  // Audience counts are shown as e.g. "1.2K followers" and "310 following"
+  const profileText = cleanText(main.text());
+  const followersMatch = profileText.match(/([\d,.]+\s*[kKmM]?)\s+followers?(?![a-z])/i);
+  const followingMatch = profileText.match(/([\d,.]+\s*[kKmM]?)\s+following(?![a-z])/i);
+  profile.followers = followersMatch ? parseCount(followersMatch[1]) : '';
+  profile.following = followingMatch ? parseCount(followingMatch[1]) : '';
+  
+  // Products the person made, from the "Made" section when there is one
+  const madeHeading = main.find('h2, h3, div').filter((_, heading) => /^(made|maker of|products made|\d+\s+products? made)$/i.test(cleanText($(heading).text()))).first();
+  const madeSection = madeHeading.length > 0 ? madeHeading.parent() : main;
+  const seenProducts = new Set();
+  madeSection.find('a[href*="/products/"]').each((_, link) => {
+    const productInfo = parseProductHuntUrl($(link).attr('href'));
+    const name = cleanText($(link).text());
+    if (productInfo && productInfo.type === 'product' && name && !seenProducts.has(productInfo.url)) {
+      seenProducts.add(productInfo.url);
+      profile.madeProducts.push({ name, url: productInfo.url });
+    }
+  });
+  
+  // Every external link the person lists, classified by network
+  const seenLinks = new Set();
+  main.find('a[href^="http"]').each((_, link) => {
+    const href = ($(link).attr('href') || '').trim();
+    if (!href || href.includes('producthunt.com') || PRODUCT_HUNT_ACCOUNTS.test(href.split('?')[0]) || seenLinks.has(href)) {
+      return;
+    }
+    seenLinks.add(href);
+    profile.links.push({ type: classifyProfileLink(href), url: href });
+  });
+  
+  console.log(`Profile ${makerUrl}: ${profile.madeProducts.length} made products, ${profile.links.length} external links`);
+  return profile;
+}
+
 // Function to extract Twitter handle from URL
 function extractTwitterHandle(url) {
   if (!url) return '';
@@ -182,5 +286,6 @@ function extractTwitterHandle(url) {
 }
 
 module.exports = {
-  extractContactInfo
+  extractContactInfo,
+  extractProfileDetails
 }; 
\ No newline at end of file
@@ -0,0 +1,176 @@
+// Contact Form Detector Module
+// Finds the contact forms a site offers instead of (or next to) an email
+// address: native <form> elements and Typeform, HubSpot, Tally and Google
+// Forms embeds. Each form is a contact channel SDRs can work by hand.
+
+// Embedded form providers, recognized by the URLs of their iframes, links and embed attributes
+const FORM_PROVIDERS = [
+  { provider: 'typeform', pattern: /^https?:\/\/([a-z0-9-]+\.)?typeform\.com\/to\/[A-Za-z0-9]+/i },
+  { provider: 'hubspot', pattern: /^https?:\/\/(share|forms)\.hsforms\.com\/\S+|^https?:\/\/share\.hubspot\.com\/\S+/i },
+  { provider: 'tally', pattern: /^https?:\/\/tally\.so\/(r|embed)\/[A-Za-z0-9]+/i },
+  { provider: 'google-forms', pattern: /^https?:\/\/(docs\.google\.com\/forms\/\S+|forms\.gle\/[A-Za-z0-9]+)/i }
+];
+
+// Inputs that are not something a visitor fills in
+const IGNORED_INPUT_TYPES = ['hidden', 'submit', 'button', 'reset', 'image'];
+
+/**
+ * Get the provider of an embedded form URL
+ * @param {string} url - URL of an iframe, link or embed
+ * @returns {string} - Provider (typeform, hubspot, tally or google-forms), or '' for other URLs
+ */
+function getFormProvider(url) {
+  const match = FORM_PROVIDERS.find(({ pattern }) => pattern.test(url || ''));
+  return match ? match.provider : '';
+}
+
+/**
+ * Turn an embed URL into the URL a person can open, e.g. tally.so/embed/x into tally.so/r/x
+ * and Google Forms without ?embedded=true
+ * @param {string} url - Embed URL
+ * @returns {string} - Shareable form URL
+ */
+function getShareableFormUrl(url) {
+  return url
+    .replace(/^(https?:\/\/tally\.so\/)embed\//i, '$1r/')
+    .replace(/[?&]embedded=true$/i, '')
+    .split('#')[0];
+}
+
+/**
+ * Describe the fields of a native form by their label, placeholder or name
+ * @param {Object} $ - Cheerio instance of the page
+ * @param {Object} form - Form element
+ * @returns {Array} - Field descriptions, e.g. ['Name', 'Email', 'Message']
+ */
+function describeFormFields($, form) {
+  const fields = [];
+
+  $(form).find('input, select, textarea').each((_, field) => {
+    const $field = $(field);
+    const type = ($field.attr('type') || field.tagName).toLowerCase();
+    if (IGNORED_INPUT_TYPES.includes(type)) return;
+
+    const id = $field.attr('id');
+    const label = (id ? $(`label[for="${id}"]`).first().text() : '') ||
+                  $field.closest('label').text() ||
+                  $field.attr('aria-label') ||
+                  $field.attr('placeholder') ||
+                  $field.attr('name') ||
+                  type;
+    const description = label.replace(/\s+/g, ' ').replace(/\s*\*$/, '').trim();
+    if (description && !fields.includes(description)) {
+      fields.push(description);
+    }
+  });
+
+  return fields;
+}
+
+/**
+ * Check whether a native form is a contact form rather than a search, login or
+ * newsletter form: it has a message box, or an email field and a few more fields
+ * @param {Object} $ - Cheerio instance of the page
+ * @param {Object} form - Form element
+ * @returns {boolean} - True for contact forms
+ */
+function isContactForm($, form) {
+  const $form = $(form);
+  if ($form.find('input[type="password"], input[type="search"]').length > 0 ||
+      $form.attr('role') === 'search' ||
+      /search|login|signin|sign-in/i.test($form.attr('action') || '')) {
+    return false;
+  }
+
+  const hasMessageBox = $form.find('textarea').length > 0;
+  const hasEmailField = $form.find('input[type="email"], input[name*="email" i]').length > 0;
+  const fieldCount = $form.find('input, select, textarea')
+    .filter((_, field) => !IGNORED_INPUT_TYPES.includes(($(field).attr('type') || '').toLowerCase()))
+    .length;
+
+  return hasMessageBox || (hasEmailField && fieldCount >= 3);
+}
+
+/**
+ * Find the contact forms on a page
+ * @param {Object} $ - Cheerio instance of the page (scripts included, for embed snippets)
+ * @param {string} pageUrl - URL of the page
+ * @returns {Array} - Contact forms ({url, provider, fields, pageUrl}); native forms use the page URL
+ */
+function detectContactForms($, pageUrl) {
+  const forms = [];
+  const addForm = (url, provider, fields = []) => {
+    let formUrl;
+    try {
+      formUrl = new URL(url, pageUrl).href;
+    } catch (error) {
+      return;
+    }
+    if (!forms.some(form => form.url === formUrl && form.provider === provider)) {
+      forms.push({ url: formUrl, provider, fields, pageUrl });
+    }
+  };
+
+  // Native forms, including the ones HubSpot's embed script renders into the page
+  $('form').each((_, form) => {
+    if (!isContactForm($, form)) return;
+    const isHubSpotForm = $(form).is('.hs-form, [id^="hsForm_"]') || /hsforms\.(com|net)/i.test($(form).attr('action') || '');
+    addForm(pageUrl, isHubSpotForm ? 'hubspot' : 'native', describeFormFields($, form));
+  });
+
+  // Iframes and links to hosted forms
+  $('iframe[src], iframe[data-src], a[href]').each((_, element) => {
+    const url = $(element).attr('src') || $(element).attr('data-src') || $(element).attr('href');
+    const provider = getFormProvider(url);
+    if (provider) {
+      addForm(getShareableFormUrl(url), provider);
+    }
+  });
+
+  // Embed snippets that only render in a browser
+  $('[data-tf-widget], [data-tf-popup], [data-tf-slider], [data-tf-popover], [data-tf-sidetab], [data-tf-live]').each((_, element) => {
+    const $element = $(element);
+    const formId = $element.attr('data-tf-widget') || $element.attr('data-tf-popup') || $element.attr('data-tf-slider') ||
+                   $element.attr('data-tf-popover') || $element.attr('data-tf-sidetab') || $element.attr('data-tf-live');
+    if (formId) {
+      addForm(`https://form.typeform.com/to/${formId}`, 'typeform');
+    }
+  });
+  $('[data-tally-src]').each((_, element) => {
+    addForm(getShareableFormUrl($(element).attr('data-tally-src')), 'tally');
+  });
+  $('script').each((_, script) => {
+    const code = $(script).contents().text();
+    if (/hbspt\.forms\.create\s*\(/.test(code) && !forms.some(form => form.provider === 'hubspot')) {
+      // The form itself is only reachable through the page that embeds it
+      addForm(pageUrl, 'hubspot');
+    }
+  });
+
+  return forms;
+}
+
+/**
+ * Merge contact form lists, keeping the first sighting of each form. A later
+ * sighting fills in the fields of an embed seen before it rendered.
+ * @param {...Array} formLists - Contact form lists, most relevant first
+ * @returns {Array} - Merged contact forms
+ */
+function mergeContactForms(...formLists) {
+  const merged = [];
+  for (const form of formLists.flat()) {
+    if (!form) continue;
+    const existing = merged.find(entry => entry.url === form.url && entry.provider === form.provider);
+    if (!existing) {
+      merged.push({ ...form });
+    } else if (existing.fields.length === 0) {
+      existing.fields = form.fields;
+    }
+  }
+  return merged;
+}
+
+module.exports = {
+  detectContactForms,
+  mergeContactForms
+};
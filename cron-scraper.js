@@ -7,6 +7,7 @@ const path = require('path');
 const { execSync } = require('child_process');
 const dotenv = require('dotenv');
 const { uploadCSVToGoogleSheets } = require('./google-sheets-exporter');
+const { parseLeaderboardUrl, buildLeaderboardUrl, getLeaderboardPeriodForDate, shiftLeaderboardPeriod, shiftLeaderboardUrl, formatLeaderboardPeriod } = require('./utils');
 
 // Load current env variables
 dotenv.config();
@@ -18,51 +19,45 @@ function updateTargetUrl() {
     // Read current .env file
     const envContent = fs.readFileSync(envFilePath, 'utf8');
     
-    // Extract current TARGET_URL
-    const targetUrlMatch = envContent.match(/TARGET_URL=https:\/\/www\.producthunt\.com\/leaderboard\/daily\/(\d+)\/(\d+)\/(\d+)\/all/);
+    // Extract current TARGET_URL (daily, weekly, monthly or yearly leaderboard)
+    const targetUrlMatch = envContent.match(/^TARGET_URL=(.*)$/m);
+    const currentUrl = targetUrlMatch ? targetUrlMatch[1].trim() : '';
+    const currentPeriod = parseLeaderboardUrl(currentUrl);
     
-    // Determine which date to use for the URL
-    let targetDate;
+    // Topic and other non-leaderboard URLs have no date to move
+    if (currentUrl && !currentPeriod) {
+      console.log(`TARGET_URL is not a leaderboard URL, leaving it unchanged: ${currentUrl}`);
+      return true;
+    }
+    
+    // Determine which period to use for the URL
+    let targetPeriod;
+    let targetUrl;
     
-    if (!targetUrlMatch) {
+    if (!currentPeriod) {
       console.log('TARGET_URL not found in .env file, creating a new one with yesterday\'s date');
       
       // Use yesterday's date for the first run
-      const now = new Date();
-      targetDate = new Date(now);
-      targetDate.setDate(targetDate.getDate() - 1); // Yesterday
+      const yesterday = new Date();
+      yesterday.setDate(yesterday.getDate() - 1);
+      targetPeriod = getLeaderboardPeriodForDate('daily', yesterday);
+      targetUrl = buildLeaderboardUrl(targetPeriod);
     } else {
-      // Extract date components from existing URL
-      const year = parseInt(targetUrlMatch[1]);
-      const month = parseInt(targetUrlMatch[2]);
-      const day = parseInt(targetUrlMatch[3]);
-      
-      // Create the date object from the URL
-      const currentDate = new Date(year, month - 1, day); // Month is 0-indexed in JS
+      // Step back by one period of the same kind (day, week, month or year), keeping the rest of the URL
+      targetPeriod = shiftLeaderboardPeriod(currentPeriod, -1);
+      targetUrl = shiftLeaderboardUrl(currentUrl, -1);
       
-      // Decrement the date by 1 day
-      targetDate = new Date(currentDate);
-      targetDate.setDate(targetDate.getDate() - 1);
-      
-      console.log(`Decrementing date from ${year}/${month}/${day} to ${targetDate.getFullYear()}/${targetDate.getMonth() + 1}/${targetDate.getDate()}`);
+      console.log(`Decrementing ${currentPeriod.period} leaderboard from ${formatLeaderboardPeriod(currentPeriod)} to ${formatLeaderboardPeriod(targetPeriod)}`);
     }
     
-    // Format the new date
-    const newYear = targetDate.getFullYear();
-    const newMonth = targetDate.getMonth() + 1; // Month is 0-indexed
-    const newDay = targetDate.getDate();
-    
-    // Create new TARGET_URL with properly formatted date (no leading zeros)
-    const newTargetUrl = `TARGET_URL=https://www.producthunt.com/leaderboard/daily/${newYear}/${newMonth}/${newDay}/all`;
+    // Create new TARGET_URL (no leading zeros, matching Product Hunt)
+    const newTargetUrl = `TARGET_URL=${targetUrl}`;
     
     // Update or add the TARGET_URL in the .env file
     let updatedEnvContent;
     if (targetUrlMatch) {
       // Replace existing TARGET_URL
-      updatedEnvContent = envContent.replace(
-        /TARGET_URL=https:\/\/www\.producthunt\.com\/leaderboard\/daily\/\d+\/\d+\/\d+\/all/,
-        newTargetUrl
-      );
+      updatedEnvContent = envContent.replace(/^TARGET_URL=.*$/m, newTargetUrl);
     } else {
       // Add new TARGET_URL if it doesn't exist
       updatedEnvContent = envContent + '\n' + newTargetUrl;
@@ -71,7 +66,8 @@ function updateTargetUrl() {
     // Write updated content back to .env file
     fs.writeFileSync(envFilePath, updatedEnvContent);
     
-    console.log(`Updated TARGET_URL to use date: ${newYear}/${newMonth}/${newDay}`);
+    const newPeriodLabel = formatLeaderboardPeriod(targetPeriod);
+    console.log(`Updated TARGET_URL to use ${targetPeriod.period} period: ${newPeriodLabel}`);
     return true;
   } catch (error) {
     console.error(`Error updating TARGET_URL: ${error.message}`);
@@ -15,7 +15,8 @@ module.exports = {
         DELAY_BETWEEN_REQUESTS: "2000",
         DEBUG_MODE: "true",
         MAX_MAKERS_PER_PRODUCT: "5",
-        SKIP_COMMENTS: "true"
+        SKIP_COMMENTS: "true",
+        DB_PATH: "./product_hunt.db"
       },
       log_date_format: "YYYY-MM-DD HH:mm:ss"
     }
@@ -0,0 +1,144 @@
+// Email Classifier Module
+// Labels an address by who is likely to read it, so outreach goes to people
+// rather than shared inboxes, and never to addresses like noreply@ or abuse@.
+
+// Classes in outreach preference order
+const EMAIL_CLASSES = ['personal', 'founder-likely', 'generic-role', 'do-not-use'];
+
+// Inboxes that must never receive outreach
+const DO_NOT_USE_LOCAL_PARTS = [
+  'noreply', 'no-reply', 'no_reply', 'donotreply', 'do-not-reply', 'do_not_reply',
+  'mailer-daemon', 'postmaster', 'hostmaster', 'webmaster', 'bounce', 'bounces',
+  'abuse', 'spam', 'security', 'privacy', 'gdpr', 'dpo', 'dataprotection', 'data-protection',
+  'legal', 'compliance', 'dmca', 'copyright', 'careers', 'jobs', 'hiring', 'recruiting',
+  'recruitment', 'hr', 'billing', 'invoices', 'invoice', 'accounts', 'accounting', 'payments',
+  'unsubscribe', 'notifications', 'notification', 'alerts'
+];
+
+// Shared inboxes read by whoever is on duty
+const GENERIC_ROLE_LOCAL_PARTS = [
+  'info', 'contact', 'hello', 'hi', 'hey', 'support', 'help', 'helpdesk', 'sales', 'team',
+  'admin', 'office', 'press', 'media', 'pr', 'marketing', 'partners', 'partnerships',
+  'business', 'bizdev', 'enquiries', 'inquiries', 'feedback', 'community', 'general',
+  'mail', 'service', 'customerservice', 'care', 'success', 'studio', 'crew', 'ops'
+];
+
+// Addresses that usually reach the person running the company
+const FOUNDER_LOCAL_PARTS = ['founder', 'founders', 'cofounder', 'co-founder', 'ceo', 'cto', 'coo', 'owner', 'me'];
+
+// How much each class moves an address's confidence when picking the best one,
+// in the EMAIL_CLASSES order so equally trusted addresses rank like rankEmailsForOutreach
+const CLASS_ADJUSTMENTS = { 'personal': 0.15, 'founder-likely': 0.1, 'generic-role': 0.05, 'do-not-use': -0.2 };
+
+const WEBMAIL_DOMAINS = ['gmail.com', 'googlemail.com', 'yahoo.com', 'hotmail.com', 'outlook.com', 'live.com', 'icloud.com', 'me.com', 'aol.com', 'protonmail.com', 'proton.me', 'mail.com', 'gmx.com', 'gmx.de', 'hey.com', 'fastmail.com'];
+
+/**
+ * Check whether an address is on a free webmail provider
+ * @param {string} email - Address to check
+ * @returns {boolean} - True for e.g. gmail.com addresses
+ */
+function isWebmailAddress(email) {
+  const domain = String(email || '').toLowerCase().split('@')[1] || '';
+  return WEBMAIL_DOMAINS.includes(domain);
+}
+
+/**
+ * Check whether a local part is built from a person's name (jane, jane.doe, jdoe, janed, ...)
+ * @param {string} localPart - Local part of the address
+ * @param {string} personName - Full name of the person
+ * @returns {boolean} - True if the local part matches the name
+ */
+function matchesPersonName(localPart, personName) {
+  const names = String(personName || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z]+/)
+    .filter(name => name.length >= 2);
+  if (names.length === 0) return false;
+
+  const compact = localPart.split('+')[0].normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[._-]/g, '');
+  const first = names[0];
+  const last = names[names.length - 1];
+  const variants = [first, last, `${first}${last}`, `${last}${first}`, `${first[0]}${last}`, `${first}${last[0]}`];
+
+  return variants.includes(compact) || names.some(name => name.length >= 3 && compact.startsWith(name));
+}
+
+/**
+ * Classify an address by who is likely to read it
+ * @param {string} email - Address to classify
+ * @param {Object} options - Classification options
+ * @param {string} options.personName - Name of the person the address was found for (e.g. the maker)
+ * @returns {string} - personal, founder-likely, generic-role or do-not-use ('' for no address)
+ */
+function classifyEmail(email, options = {}) {
+  const [localPart, domain] = String(email || '').toLowerCase().split('@');
+  if (!localPart || !domain) return '';
+
+  const baseLocalPart = localPart.split('+')[0];
+  if (DO_NOT_USE_LOCAL_PARTS.includes(baseLocalPart) || /^(no-?reply|do-?not-?reply)/.test(baseLocalPart)) {
+    return 'do-not-use';
+  }
+  if (matchesPersonName(baseLocalPart, options.personName)) {
+    return 'personal';
+  }
+  if (FOUNDER_LOCAL_PARTS.includes(baseLocalPart)) {
+    return 'founder-likely';
+  }
+  if (GENERIC_ROLE_LOCAL_PARTS.includes(baseLocalPart)) {
+    return 'generic-role';
+  }
+
+  // Any other address is a person's: their own inbox on webmail, most likely
+  // a founder's at a small product's own domain
+  return isWebmailAddress(email) ? 'personal' : 'founder-likely';
+}
+
+/**
+ * Order addresses for outreach: personal first, then founder-likely, then
+ * generic-role. Do-not-use addresses are left out.
+ * @param {Array} emails - Addresses to order
+ * @param {Object} options - Classification options ({personName})
+ * @returns {Array} - Addresses with their class ({email, emailClass}), best first
+ */
+function rankEmailsForOutreach(emails, options = {}) {
+  return emails
+    .map(email => ({ email, emailClass: classifyEmail(email, options) }))
+    .filter(({ emailClass }) => emailClass && emailClass !== 'do-not-use')
+    .sort((a, b) => EMAIL_CLASSES.indexOf(a.emailClass) - EMAIL_CLASSES.indexOf(b.emailClass));
+}
+
+/**
+ * Pick the best email candidate: its source confidence adjusted by its class,
+ * so the person's own address beats one that likely reaches a founder, which
+ * beats a shared inbox, and business addresses beat webmail, whatever source
+ * they came from. A do-not-use address is
+ * only picked when there is no other candidate.
+ * @param {Array} candidates - Contact candidates ({type, value, source, pageUrl, confidence})
+ * @param {Object} options - Classification options ({personName})
+ * @returns {Object|null} - Best email candidate, or null if there is none
+ */
+function pickBestEmail(candidates, options = {}) {
+  const scored = (candidates || [])
+    .filter(candidate => candidate.type === 'email')
+    .map(candidate => {
+      const emailClass = classifyEmail(candidate.value, options);
+      const score = candidate.confidence + (CLASS_ADJUSTMENTS[emailClass] || 0) - (isWebmailAddress(candidate.value) ? 0.1 : 0);
+      return { candidate, emailClass, score };
+    });
+
+  const usable = scored.some(({ emailClass }) => emailClass !== 'do-not-use')
+    ? scored.filter(({ emailClass }) => emailClass !== 'do-not-use')
+    : scored;
+  usable.sort((a, b) => b.score - a.score);
+  return usable.length > 0 ? usable[0].candidate : null;
+}
+
+module.exports = {
+  EMAIL_CLASSES,
+  isWebmailAddress,
+  classifyEmail,
+  rankEmailsForOutreach,
+  pickBestEmail
+};
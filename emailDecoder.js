@@ -0,0 +1,126 @@
+// Email Decoder Module
+// Turns the usual ways sites hide addresses from scrapers back into plain
+// addresses: "name [at] domain [dot] com", HTML entities, text reversed with
+// CSS and Cloudflare's email protection.
+const { parseEmail, isValidEmail, extractEmails } = require('./emailParser');
+
+// "[at]", "(at)", "{at}" and "<at>" with optional spaces, and the same for "dot"
+const BRACKETED_AT_PATTERN = /\s*(?:\[\s*at\s*\]|\(\s*at\s*\)|\{\s*at\s*\}|<\s*at\s*>)\s*/gi;
+const BRACKETED_DOT_PATTERN = /\s*(?:\[\s*dot\s*\]|\(\s*dot\s*\)|\{\s*dot\s*\}|<\s*dot\s*>)\s*/gi;
+
+// "name at domain dot com" without brackets, only when it stands alone: at the start of
+// a line or after a label such as "Email:", and ending the line or sentence. Prose like
+// "We launched at Acme dot com" has a word before it and is left as it is.
+const SPELLED_OUT_PATTERN = /(^|[:;(]\s*)([a-zA-Z0-9._-]+)\s+at\s+([a-zA-Z0-9-]+(?:\s+dot\s+[a-zA-Z0-9-]+)+)(?=[ \t.,;)]*$)/gim;
+
+// Named entities that show up in encoded addresses
+const NAMED_ENTITIES = {
+  commat: '@',
+  period: '.',
+  lowbar: '_',
+  hyphen: '-',
+  dash: '-',
+  amp: '&'
+};
+
+/**
+ * Decode numeric and common named HTML entities
+ * @param {string} text - Text that may contain entities
+ * @returns {string} - Decoded text
+ */
+function decodeHtmlEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);?/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);?/g, (match, decimal) => String.fromCodePoint(parseInt(decimal, 10)))
+    .replace(/&([a-z]+);/gi, (match, name) => NAMED_ENTITIES[name.toLowerCase()] || match);
+}
+
+/**
+ * Rewrite obfuscated addresses in text to plain addresses
+ * @param {string} text - Text that may contain obfuscated addresses
+ * @returns {string} - Text with the addresses decoded
+ */
+function deobfuscateEmailText(text) {
+  if (!text) return '';
+
+  return decodeHtmlEntities(text)
+    .replace(BRACKETED_AT_PATTERN, '@')
+    .replace(BRACKETED_DOT_PATTERN, '.')
+    .replace(SPELLED_OUT_PATTERN, (match, prefix, name, domain) => `${prefix}${name}@${domain.replace(/\s+dot\s+/gi, '.')}`);
+}
+
+/**
+ * Find addresses in text, including obfuscated ones
+ * @param {string} text - Text to search
+ * @returns {Array} - Lowercase addresses in the order they appear, without duplicates
+ */
+function findEmailsInText(text) {
+  return extractEmails(deobfuscateEmailText(text));
+}
+
+/**
+ * Decode a Cloudflare protected address: the first byte is an XOR key for the rest
+ * @param {string} encoded - Hex string from data-cfemail or an email-protection link
+ * @returns {string} - Decoded address, or '' if it isn't valid
+ */
+function decodeCloudflareEmail(encoded) {
+  if (!encoded || !/^[0-9a-f]+$/i.test(encoded) || encoded.length < 4 || encoded.length % 2 !== 0) {
+    return '';
+  }
+
+  const key = parseInt(encoded.substr(0, 2), 16);
+  let email = '';
+  for (let index = 2; index < encoded.length; index += 2) {
+    email += String.fromCharCode(parseInt(encoded.substr(index, 2), 16) ^ key);
+  }
+
+  return isValidEmail(email) ? parseEmail(email) : '';
+}
+
+/**
+ * Find addresses that a page hides from plain text search: Cloudflare email
+ * protection, text reversed with CSS and "[at]"/"[dot]" or entity encoding
+ * @param {Object} $ - Cheerio instance of the page
+ * @returns {Array} - Decoded addresses ({email, method}); method is cloudflare, reversed-text or text
+ */
+function findObfuscatedEmails($) {
+  const found = [];
+  const addEmail = (email, method) => {
+    const normalizedEmail = (email || '').toLowerCase();
+    if (normalizedEmail && !found.some(entry => entry.email === normalizedEmail)) {
+      found.push({ email: normalizedEmail, method });
+    }
+  };
+
+  // Cloudflare replaces addresses with an encoded span and links to /cdn-cgi/l/email-protection#<hex>
+  $('[data-cfemail]').each((_, element) => {
+    addEmail(decodeCloudflareEmail($(element).attr('data-cfemail')), 'cloudflare');
+  });
+  $('a[href*="/cdn-cgi/l/email-protection#"]').each((_, link) => {
+    addEmail(decodeCloudflareEmail($(link).attr('href').split('#')[1]), 'cloudflare');
+  });
+
+  // Text written backwards and flipped back with direction: rtl
+  $('[style*="rtl"]').each((_, element) => {
+    if (!/direction\s*:\s*rtl/i.test($(element).attr('style'))) return;
+    const reversedText = $(element).text().split('').reverse().join('');
+    extractEmails(reversedText).forEach(email => addEmail(email, 'reversed-text'));
+  });
+
+  // "[at]"/"[dot]" and entity encoded addresses only count if the plain text has no such address
+  const pageText = $('body').length > 0 ? $('body').text() : $.root().text();
+  const literalEmails = extractEmails(pageText);
+  findEmailsInText(pageText)
+    .filter(email => !literalEmails.includes(email))
+    .forEach(email => addEmail(email, 'text'));
+
+  return found;
+}
+
+module.exports = {
+  decodeHtmlEntities,
+  deobfuscateEmailText,
+  findEmailsInText,
+  decodeCloudflareEmail,
+  findObfuscatedEmails
+};
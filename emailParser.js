@@ -0,0 +1,206 @@
+// Email Parser Module
+// The one place that finds and validates email addresses. Anything around an
+// "@" is matched loosely, then the local part is checked against the RFC 5322
+// dot-atom rules and the domain against the public suffix list, trimming junk
+// that page text glued on (e.g. "hello@acme.comFollow").
+const path = require('path');
+const { parse } = require('tldts');
+const { pickBestEmail } = require('./emailClassifier');
+
+// Anything that could be an address, including junk around it that parseEmail trims
+const EMAIL_TOKEN_PATTERN = /[A-Za-z0-9!#$%&'*+/=?^_`{|}~.-]+@[A-Za-z0-9.-]+/g;
+
+// Unquoted local part: atext characters, with single dots between them
+const LOCAL_PART_PATTERN = /^[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+)*$/;
+
+const DOMAIN_LABEL_PATTERN = /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/;
+
+// Asset names like logo@2x.png look like addresses; zip and mov are even real TLDs
+const FILE_EXTENSIONS = [
+  'png', 'jpg', 'jpeg', 'gif', 'svg', 'webp', 'avif', 'ico', 'bmp', 'tif', 'tiff',
+  'css', 'js', 'mjs', 'map', 'json', 'woff', 'woff2', 'ttf', 'eot',
+  'mp4', 'webm', 'mov', 'mp3', 'wav', 'zip', 'pdf'
+];
+
+// Addresses from templates, docs and error trackers rather than real inboxes
+const PLACEHOLDER_DOMAINS = ['example.com', 'example.org', 'example.net', 'domain.com', 'yourdomain.com', 'mydomain.com', 'yourcompany.com', 'sentry.io', 'wixpress.com'];
+const PLACEHOLDER_LOCAL_PARTS = ['test', 'user', 'email', 'name', 'your-email', 'youremail', 'yourname', 'someone'];
+
+/**
+ * Check a domain: valid labels and a registrable domain under a known public suffix
+ * @param {string} domain - Lowercase domain
+ * @returns {boolean} - True if an address could live on the domain
+ */
+function isValidDomain(domain) {
+  const labels = domain.split('.');
+  if (domain.length > 253 || labels.length < 2 || !labels.every(label => DOMAIN_LABEL_PATTERN.test(label))) {
+    return false;
+  }
+
+  const parsed = parse(domain, { allowPrivateDomains: true });
+  return Boolean(parsed.domain) && (parsed.isIcann || parsed.isPrivate);
+}
+
+/**
+ * Find the domain in the text after an "@", dropping words glued onto its end:
+ * a capitalized trailing label (acme.io.Twitter) or the capitalized or numeric
+ * tail of the last label (acme.comFollow, acme.com2024)
+ * @param {string} rawDomain - Text after the "@"
+ * @returns {string} - Lowercase domain, or '' if there is no valid one
+ */
+function trimDomain(rawDomain) {
+  const labels = rawDomain.replace(/[.-]+$/, '').split('.');
+  const isLowercase = label => label === label.toLowerCase();
+
+  while (labels.length > 2 && /^[A-Z]/.test(labels[labels.length - 1]) && labels.slice(0, -1).every(isLowercase)) {
+    labels.pop();
+  }
+
+  const lastLabel = labels.pop() || '';
+  const suffixes = [];
+  const gluedWord = lastLabel.match(/^[a-z]+(?=[A-Z0-9])/);
+  if (gluedWord) {
+    suffixes.push(gluedWord[0]);
+  }
+  suffixes.push(lastLabel);
+
+  for (const suffix of suffixes) {
+    const domain = [...labels, suffix].join('.').toLowerCase();
+    if (isValidDomain(domain)) {
+      return domain;
+    }
+  }
+
+  return '';
+}
+
+/**
+ * Parse one address, trimming junk around it
+ * @param {string} raw - Address as found (may include mailto:, query strings or surrounding text)
+ * @returns {string} - Lowercase address, or '' if it isn't a valid address
+ */
+function parseEmail(raw) {
+  let value = String(raw || '').trim();
+  if (/%[0-9a-f]{2}/i.test(value)) {
+    try {
+      value = decodeURIComponent(value);
+    } catch (error) {
+      // Keep the raw value
+    }
+  }
+  value = value.replace(/^mailto:/i, '').split('?')[0].trim();
+
+  const atIndex = value.lastIndexOf('@');
+  if (atIndex <= 0) return '';
+
+  // Leading punctuation belongs to the surrounding text
+  const localPart = value.slice(0, atIndex).replace(/^[^A-Za-z0-9]+/, '');
+  const rawDomain = value.slice(atIndex + 1);
+
+  // File names such as logo@2x.png
+  const extension = rawDomain.split('.').pop().toLowerCase();
+  if (FILE_EXTENSIONS.includes(extension)) return '';
+
+  if (!localPart || localPart.length > 64 || !LOCAL_PART_PATTERN.test(localPart)) return '';
+
+  const domain = trimDomain(rawDomain);
+  if (!domain) return '';
+
+  const email = `${localPart}@${domain}`.toLowerCase();
+  return email.length <= 254 ? email : '';
+}
+
+/**
+ * Check whether a string is a valid address as it stands
+ * @param {string} email - Address to check
+ * @returns {boolean} - True if the address is valid without any trimming
+ */
+function isValidEmail(email) {
+  return Boolean(email) && parseEmail(email) === String(email).trim().toLowerCase();
+}
+
+/**
+ * Check whether an address is a template or tooling placeholder rather than a real inbox
+ * @param {string} email - Parsed address
+ * @returns {boolean} - True for addresses like name@example.com
+ */
+function isPlaceholderEmail(email) {
+  const [localPart, domain] = String(email || '').toLowerCase().split('@');
+  if (!domain) return true;
+
+  return PLACEHOLDER_LOCAL_PARTS.includes(localPart) ||
+         PLACEHOLDER_DOMAINS.some(placeholder => domain === placeholder || domain.endsWith(`.${placeholder}`));
+}
+
+/**
+ * Find every valid address in a text, in order of appearance and without duplicates
+ * @param {string} text - Text to search
+ * @returns {Array} - Lowercase addresses
+ */
+function extractEmails(text) {
+  const emails = [];
+  for (const token of String(text || '').match(EMAIL_TOKEN_PATTERN) || []) {
+    const email = parseEmail(token);
+    if (email && !emails.includes(email)) {
+      emails.push(email);
+    }
+  }
+  return emails;
+}
+
+/**
+ * Run the fixtures in emailFixtures.json: extractEmails on the text, parseEmail
+ * for fixtures marked "parse", or pickBestEmail over the addresses in the text,
+ * all equally trusted, for fixtures with "pick" classification options
+ * @returns {Array} - Failed fixtures ({text, expected, actual})
+ */
+function checkFixtures() {
+  const fixtures = require(path.join(__dirname, 'emailFixtures.json'));
+  const failures = [];
+
+  for (const fixture of fixtures) {
+    let actual;
+    if (fixture.pick) {
+      const candidates = extractEmails(fixture.text).map(value => ({ type: 'email', value, source: 'page-text', confidence: 0.6 }));
+      const best = pickBestEmail(candidates, fixture.pick);
+      actual = best ? best.value : '';
+    } else {
+      actual = fixture.parse ? parseEmail(fixture.text) : extractEmails(fixture.text);
+    }
+    if (JSON.stringify(actual) !== JSON.stringify(fixture.expected)) {
+      failures.push({ text: fixture.text, expected: fixture.expected, actual });
+    }
+  }
+
+  console.log(`${fixtures.length - failures.length}/${fixtures.length} email fixtures passed`);
+  return failures;
+}
+
+// If script is run directly, process command line arguments
+if (require.main === module) {
+  const [command, ...args] = process.argv.slice(2);
+
+  if (command === 'check-fixtures') {
+    const failures = checkFixtures();
+    for (const failure of failures) {
+      console.error(`FAIL ${JSON.stringify(failure.text)}: expected ${JSON.stringify(failure.expected)}, got ${JSON.stringify(failure.actual)}`);
+    }
+    process.exit(failures.length > 0 ? 1 : 0);
+  } else if (command === 'parse' && args.length > 0) {
+    console.log(extractEmails(args.join(' ')));
+  } else {
+    console.log('Usage:');
+    console.log('  node emailParser.js check-fixtures  Check the parser against emailFixtures.json');
+    console.log('  node emailParser.js parse <text>    Print the addresses found in a text');
+    process.exit(1);
+  }
+} else {
+  // Export for use in other scripts
+  module.exports = {
+    EMAIL_TOKEN_PATTERN,
+    parseEmail,
+    isValidEmail,
+    isPlaceholderEmail,
+    extractEmails
+  };
+}
@@ -5,6 +5,7 @@ const { google } = require('googleapis');
 const { GoogleAuth } = require('google-auth-library');
 const dotenv = require('dotenv');
 const axios = require('axios');
+const { rankEmailsForOutreach } = require('./emailClassifier');
 
 // Load environment variables
 dotenv.config();
@@ -252,7 +253,9 @@ function findEmailColumns(headers) {
   
   headers.forEach((header, index) => {
     const headerLower = header.toLowerCase();
-    if (emailFieldNames.some(field => headerLower.includes(field))) {
+    // Source, confidence and class columns describe an email rather than hold one
+    const isEmailDetail = ['source', 'confidence', 'class', 'verification'].some(word => headerLower.includes(word));
+    if (!isEmailDetail && emailFieldNames.some(field => headerLower.includes(field))) {
       emailColumns.push(index);
     }
   });
@@ -260,6 +263,24 @@ function findEmailColumns(headers) {
   return emailColumns;
 }
 
+// The scraper's own picks: the maker's email, then the website's, each with the
+// class the scraper gave it. Returns null for sheets without the class columns,
+// e.g. CSVs written before emails were classified.
+function getScraperPickedEmails(headers, row) {
+  const columnIndex = (title) => headers.findIndex(header => header.toLowerCase() === title);
+  const pickedColumns = [['email', 'email class'], ['website email', 'website email class']]
+    .map(([emailTitle, classTitle]) => [columnIndex(emailTitle), columnIndex(classTitle)])
+    .filter(([emailIndex, classIndex]) => emailIndex !== -1 && classIndex !== -1);
+  
+  if (pickedColumns.length === 0) {
+    return null;
+  }
+  
+  return pickedColumns
+    .map(([emailIndex, classIndex]) => ({ email: (row[emailIndex] || '').trim(), emailClass: (row[classIndex] || '').trim() }))
+    .filter(({ email }) => email);
+}
+
 // Function to verify and add status column (no filtering)
 async function verifyAndFilterData(data) {
   if (!data || data.length < 2) {
@@ -282,6 +303,10 @@ async function verifyAndFilterData(data) {
   
   const processedData = [headers]; // Start with headers
   
+  // Only real makers are contacted; CSVs from before roles existed have no Role column
+  const roleColumnIndex = headers.findIndex(header => header.toLowerCase() === 'role');
+  const makerNameColumnIndex = headers.findIndex(header => header.toLowerCase() === 'maker name');
+  
   // Process each row (skipping header)
   for (let i = 1; i < data.length; i++) {
     const row = data[i];
@@ -291,28 +316,54 @@ async function verifyAndFilterData(data) {
     let instantlyStatus = 'Not Sent';
     let validEmail = null;
     
-    // Check each email column in the row
-    for (const colIndex of emailColumns) {
-      if (colIndex >= row.length) continue;
-      
-      const email = row[colIndex];
+    // The addresses the scraper picked, so the sheet and Instantly name the same
+    // one; older sheets rank every address in the row (alternative columns hold
+    // several), personal addresses first. Do-not-use addresses such as noreply@
+    // are left out either way.
+    const pickedEmails = getScraperPickedEmails(headers, row);
+    let rowEmails;
+    let rankedEmails;
+    if (pickedEmails) {
+      rowEmails = pickedEmails.map(({ email }) => email);
+      rankedEmails = pickedEmails.filter(({ emailClass }) => emailClass !== 'do-not-use');
+    } else {
+      rowEmails = emailColumns
+        .filter(colIndex => colIndex < row.length)
+        .flatMap(colIndex => (row[colIndex] || '').split(';'))
+        .map(email => email.trim())
+        .filter((email, index, allEmails) => email && allEmails.indexOf(email) === index);
+      const makerName = makerNameColumnIndex !== -1 ? row[makerNameColumnIndex] : '';
+      rankedEmails = rankEmailsForOutreach(rowEmails, { personName: makerName });
+    }
+    
+    if (rowEmails.length > 0 && rankedEmails.length === 0) {
+      emailStatus = 'Do Not Use';
+      instantlyStatus = 'Skipped (do-not-use)';
+      console.log(`Only do-not-use emails in row ${i}: ${rowEmails.join(', ')}`);
+    }
+    
+    // Verify in outreach order until one is valid
+    for (const { email, emailClass } of rankedEmails) {
+      const verificationResult = await verifyEmail(email);
       
-      if (email && email.trim()) {
-        const verificationResult = await verifyEmail(email.trim());
-        
-        if (verificationResult.isValid) {
-          emailStatus = 'Valid';
-          validEmail = email.trim();
-          break; // Found a valid email, no need to check others
-        } else {
-          emailStatus = 'Invalid';
-          console.log(`Invalid email in row ${i}: ${email} - ${verificationResult.message}`);
-        }
+      if (verificationResult.isValid) {
+        emailStatus = 'Valid';
+        validEmail = email;
+        console.log(`Using ${emailClass} email in row ${i}: ${email}`);
+        break; // Found a valid email, no need to check others
+      } else {
+        emailStatus = 'Invalid';
+        console.log(`Invalid email in row ${i}: ${email} - ${verificationResult.message}`);
       }
     }
     
+    const role = roleColumnIndex !== -1 ? (row[roleColumnIndex] || '').trim().toLowerCase() : '';
+    const isOutreachTarget = roleColumnIndex === -1 || role === 'maker';
+    
     // If we have a valid email, push to Instantly
-    if (emailStatus === 'Valid' && validEmail) {
+    if (emailStatus === 'Valid' && validEmail && !isOutreachTarget) {
+      instantlyStatus = `Skipped (${role || 'no role'})`;
+    } else if (emailStatus === 'Valid' && validEmail) {
       // Find the product name column
       const productNameColumnIndex = headers.findIndex(header => 
         header.toLowerCase().includes('product name') || 
@@ -18,6 +18,24 @@ const DEBUG_MODE = process.env.DEBUG_MODE === 'true';
 const TARGET_URL = process.env.TARGET_URL || 'https://www.producthunt.com/leaderboard/daily/2025/3/17/all';
 const MAX_MAKERS_PER_PRODUCT = parseInt(process.env.MAX_MAKERS_PER_PRODUCT || '3', 10);
 const SKIP_COMMENTS = process.env.SKIP_COMMENTS === 'true';
+// Number of products processed in parallel (each uses up to two browser pages)
+const CONCURRENCY = parseInt(process.env.CONCURRENCY || '1', 10);
+const MAX_COMMENTERS_PER_PRODUCT = parseInt(process.env.MAX_COMMENTERS_PER_PRODUCT || '5', 10);
+// TARGET_URL may also be a topic page (e.g. /topics/developer-tools); this caps how many archive pages are read
+const MAX_TOPIC_PAGES = parseInt(process.env.MAX_TOPIC_PAGES || '10', 10);
+// --resume continues an interrupted run for the same TARGET_URL from its checkpoint
+const RESUME = process.argv.includes('--resume');
+// SQLite store for normalized results (disabled when empty)
+const DB_PATH = process.env.DB_PATH ? path.resolve(process.env.DB_PATH) : '';
+// Record/replay of page loads: RECORD_DIR saves every loaded page, REPLAY_DIR serves them offline
+const RECORD_DIR = process.env.RECORD_DIR ? path.resolve(process.env.RECORD_DIR) : '';
+const REPLAY_DIR = process.env.REPLAY_DIR ? path.resolve(process.env.REPLAY_DIR) : '';
+// CSV output path (defaults to product_hunt_data_<today>.csv in this directory)
+const OUTPUT_FILE = process.env.OUTPUT_FILE ? path.resolve(process.env.OUTPUT_FILE) : '';
+// Pages crawled on each product website after its homepage (contact, imprint, team, about, legal, press)
+const CRAWL_MAX_PAGES = parseInt(process.env.CRAWL_MAX_PAGES || '5', 10);
+const CRAWL_MAX_DEPTH = parseInt(process.env.CRAWL_MAX_DEPTH || '2', 10);
+const CRAWL_TIME_BUDGET = parseInt(process.env.CRAWL_TIME_BUDGET || '60000', 10);
 
 // Create logs directory if it doesn't exist
 const logsDir = path.join(__dirname, 'logs');
@@ -36,9 +54,15 @@ function log(message) {
 // Main function to run the scraper
 async function main() {
   log('Starting Product Hunt Scraper...');
-  log(`Configuration: MAX_PRODUCTS=${MAX_PRODUCTS}, HEADLESS=${HEADLESS}, DEBUG_MODE=${DEBUG_MODE}`);
-  log(`Additional settings: MAX_MAKERS_PER_PRODUCT=${MAX_MAKERS_PER_PRODUCT}, SKIP_COMMENTS=${SKIP_COMMENTS}`);
+  log(`Configuration: MAX_PRODUCTS=${MAX_PRODUCTS}, HEADLESS=${HEADLESS}, DEBUG_MODE=${DEBUG_MODE}, CONCURRENCY=${CONCURRENCY}`);
+  log(`Additional settings: MAX_MAKERS_PER_PRODUCT=${MAX_MAKERS_PER_PRODUCT}, SKIP_COMMENTS=${SKIP_COMMENTS}, MAX_COMMENTERS_PER_PRODUCT=${MAX_COMMENTERS_PER_PRODUCT}`);
   log(`Target URL: ${TARGET_URL}`);
+  if (RESUME) log('Resuming from checkpoint if one exists');
+  if (DB_PATH) log(`Saving results to SQLite store: ${DB_PATH}`);
+  if (RECORD_DIR) log(`Recording pages to: ${RECORD_DIR}`);
+  if (REPLAY_DIR) log(`Replaying pages from: ${REPLAY_DIR}`);
+  if (OUTPUT_FILE) log(`Writing CSV to: ${OUTPUT_FILE}`);
+  log(`Website crawl budget: CRAWL_MAX_PAGES=${CRAWL_MAX_PAGES}, CRAWL_MAX_DEPTH=${CRAWL_MAX_DEPTH}, CRAWL_TIME_BUDGET=${CRAWL_TIME_BUDGET}ms`);
   
   let browser;
   
@@ -69,7 +93,18 @@ async function main() {
       debugMode: DEBUG_MODE,
       targetUrl: TARGET_URL,
       maxMakersPerProduct: MAX_MAKERS_PER_PRODUCT,
-      skipComments: SKIP_COMMENTS
+      skipComments: SKIP_COMMENTS,
+      maxCommentersPerProduct: MAX_COMMENTERS_PER_PRODUCT,
+      maxTopicPages: MAX_TOPIC_PAGES,
+      concurrency: CONCURRENCY,
+      resume: RESUME,
+      dbPath: DB_PATH,
+      recordDir: RECORD_DIR,
+      replayDir: REPLAY_DIR,
+      outputFile: OUTPUT_FILE,
+      crawlMaxPages: CRAWL_MAX_PAGES,
+      crawlMaxDepth: CRAWL_MAX_DEPTH,
+      crawlTimeBudget: CRAWL_TIME_BUDGET
     });
     
     log('Scraping completed successfully!');
@@ -0,0 +1,98 @@
+// Page Pool Module
+// Bounds how many Puppeteer pages are open at once when products are
+// processed concurrently.
+
+/**
+ * Create a bounded page pool on top of a browser. The pool has the same
+ * newPage() method as the browser, so it can be passed to any extractor that
+ * expects a browser; closing a page frees its slot for the next caller.
+ * @param {Object} browser - Puppeteer browser instance
+ * @param {number} maxPages - Maximum number of pages open at the same time
+ * @returns {Object} - Page pool ({newPage, openPageCount})
+ */
+function createPagePool(browser, maxPages) {
+  let openPages = 0;
+  const waitingCallers = [];
+
+  // Hand the slot to the next waiting caller, or free it
+  const releaseSlot = () => {
+    const next = waitingCallers.shift();
+    if (next) {
+      next();
+    } else {
+      openPages--;
+    }
+  };
+
+  const acquireSlot = async () => {
+    if (openPages < maxPages) {
+      openPages++;
+      return;
+    }
+    await new Promise(resolve => waitingCallers.push(resolve));
+  };
+
+  return {
+    async newPage() {
+      await acquireSlot();
+
+      let page;
+      try {
+        page = await browser.newPage();
+      } catch (error) {
+        releaseSlot();
+        throw error;
+      }
+
+      // Free the slot when the page is closed, however many times close is called
+      const closePage = page.close.bind(page);
+      let released = false;
+      page.close = async (...args) => {
+        try {
+          return await closePage(...args);
+        } finally {
+          if (!released) {
+            released = true;
+            releaseSlot();
+          }
+        }
+      };
+
+      return page;
+    },
+
+    openPageCount() {
+      return openPages;
+    }
+  };
+}
+
+/**
+ * Run an async worker over a list with a bounded number of items in flight.
+ * Results keep the order of the input list regardless of completion order.
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum number of items processed at once
+ * @param {Function} worker - async (item, index) => result
+ * @returns {Promise<Array>} - Results in input order
+ */
+async function mapWithConcurrency(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runWorker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+
+  return results;
+}
+
+module.exports = {
+  createPagePool,
+  mapWithConcurrency
+};
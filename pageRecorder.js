@@ -0,0 +1,263 @@
+// Page Recorder Module
+// Saves every page the scraper loads to disk (record mode) and serves those
+// saved pages back instead of hitting the network (replay mode), so a broken
+// run can be reproduced offline.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+// Active capture settings, set once per run by configurePageCapture
+const captureSettings = {
+  recordDir: '',
+  replayDir: ''
+};
+
+/**
+ * Configure record/replay mode for the current run
+ * @param {Object} options - Capture options
+ * @param {string} options.recordDir - Directory to save loaded pages to
+ * @param {string} options.replayDir - Directory to serve saved pages from
+ */
+function configurePageCapture(options = {}) {
+  captureSettings.recordDir = options.recordDir || '';
+  captureSettings.replayDir = options.replayDir || '';
+
+  if (captureSettings.recordDir && captureSettings.replayDir) {
+    throw new Error('Record and replay mode cannot be enabled at the same time');
+  }
+
+  if (captureSettings.recordDir) {
+    fs.mkdirSync(captureSettings.recordDir, { recursive: true });
+    console.log(`Recording loaded pages to: ${captureSettings.recordDir}`);
+  }
+
+  if (captureSettings.replayDir) {
+    if (!fs.existsSync(captureSettings.replayDir)) {
+      throw new Error(`Replay directory not found: ${captureSettings.replayDir}`);
+    }
+    console.log(`Replaying saved pages from: ${captureSettings.replayDir}`);
+  }
+}
+
+/**
+ * Check whether pages are being served from disk
+ * @returns {boolean} - Whether replay mode is active
+ */
+function isReplaying() {
+  return Boolean(captureSettings.replayDir);
+}
+
+/**
+ * Build the snapshot file path for a URL. Raw HTTP bodies and rendered
+ * browser pages of the same URL are different snapshots, so recording one
+ * never overwrites the other.
+ * @param {string} directory - Capture directory
+ * @param {string} url - Page URL
+ * @param {string} kind - Snapshot kind: 'page' (rendered in the browser), 'http' (raw body) or 'fetch-path' (how a website was loaded)
+ * @returns {string} - Path of the snapshot file
+ */
+function getSnapshotPath(directory, url, kind = 'page') {
+  const hash = crypto.createHash('sha1').update(kind === 'page' ? url : `${kind}:${url}`).digest('hex');
+  return path.join(directory, `${hash}.json`);
+}
+
+/**
+ * Load a saved snapshot
+ * @param {string} url - Page URL
+ * @param {string} kind - Snapshot kind ('page', 'http' or 'fetch-path')
+ * @returns {Object|null} - Snapshot ({url, finalUrl, status, html}) or null if not captured
+ */
+function loadSnapshot(url, kind = 'page') {
+  const snapshotPath = getSnapshotPath(captureSettings.replayDir, url, kind);
+  if (!fs.existsSync(snapshotPath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+}
+
+/**
+ * Write a snapshot to the record directory
+ * @param {Object} snapshot - Snapshot to write
+ * @param {string} kind - Snapshot kind ('page', 'http' or 'fetch-path')
+ */
+function writeSnapshot(snapshot, kind = 'page') {
+  const snapshotPath = getSnapshotPath(captureSettings.recordDir, snapshot.url, kind);
+  fs.writeFileSync(snapshotPath, JSON.stringify(snapshot, null, 2));
+}
+
+/**
+ * Prepare a freshly created page for record/replay. In replay mode, document
+ * requests are answered from disk and everything else is blocked.
+ * @param {Object} page - Puppeteer page object
+ */
+async function preparePage(page) {
+  if (!isReplaying()) return;
+
+  // Page scripts would mutate the saved DOM, so keep it exactly as captured
+  await page.setJavaScriptEnabled(false);
+  await page.setRequestInterception(true);
+
+  page.on('request', request => {
+    if (request.isInterceptResolutionHandled()) return;
+
+    if (request.resourceType() !== 'document') {
+      request.abort('blockedbyclient');
+      return;
+    }
+
+    // URLs only ever fetched over HTTP (e.g. resolved redirects) fall back to their raw snapshot
+    const snapshot = loadSnapshot(request.url()) || loadSnapshot(request.url(), 'http');
+    if (!snapshot) {
+      console.log(`No saved page for ${request.url()}, treating as offline`);
+      request.abort('internetdisconnected');
+      return;
+    }
+
+    // Replay the redirect so page.url() ends up on the captured final URL
+    if (snapshot.finalUrl && snapshot.finalUrl !== request.url()) {
+      request.respond({ status: 302, headers: { location: snapshot.finalUrl } });
+      return;
+    }
+
+    request.respond({
+      status: snapshot.status || 200,
+      contentType: 'text/html; charset=utf-8',
+      body: snapshot.html
+    });
+  });
+}
+
+/**
+ * Save the current state of a page in record mode. Call this right before the
+ * page content is parsed so the snapshot matches what the scraper saw.
+ * @param {Object} page - Puppeteer page object
+ * @param {string} requestedUrl - URL passed to page.goto
+ * @param {Object} response - Response returned by page.goto
+ */
+async function capturePage(page, requestedUrl, response) {
+  if (!captureSettings.recordDir) return;
+
+  try {
+    const html = await page.content();
+    const finalUrl = page.url();
+    const snapshot = {
+      url: requestedUrl,
+      finalUrl,
+      status: response ? response.status() : 200,
+      capturedAt: new Date().toISOString(),
+      html
+    };
+
+    writeSnapshot(snapshot);
+
+    // Also save under the final URL so the replayed redirect can be served
+    if (finalUrl && finalUrl !== requestedUrl) {
+      writeSnapshot({ ...snapshot, url: finalUrl });
+    }
+  } catch (error) {
+    console.error(`Error recording page ${requestedUrl}: ${error.message}`);
+  }
+}
+
+/**
+ * Fetch a URL over plain HTTP without following redirects, through record/replay
+ * snapshots of their own. A redirect is stored as a snapshot whose finalUrl is
+ * the redirect target, and browser replays of URLs without a rendered snapshot
+ * follow it too.
+ * @param {string} url - URL to fetch
+ * @param {Object} options - Extra axios request options
+ * @returns {Object} - Response ({url, status, location, html})
+ */
+async function fetchWithCapture(url, options = {}) {
+  if (isReplaying()) {
+    const snapshot = loadSnapshot(url, 'http');
+    if (!snapshot) {
+      throw new Error(`No saved page for ${url}, treating as offline`);
+    }
+
+    const isRedirect = snapshot.finalUrl && snapshot.finalUrl !== url;
+    return {
+      url,
+      status: isRedirect ? 302 : (snapshot.status || 200),
+      location: isRedirect ? snapshot.finalUrl : '',
+      html: isRedirect ? '' : snapshot.html
+    };
+  }
+
+  const response = await axios.get(url, {
+    timeout: 15000,
+    maxRedirects: 0,
+    responseType: 'text',
+    validateStatus: () => true,
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36',
+      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+      'Accept-Language': 'en-US,en;q=0.9'
+    },
+    ...options
+  });
+
+  const location = response.status >= 300 && response.status < 400 && response.headers.location
+    ? new URL(response.headers.location, url).href
+    : '';
+  const html = typeof response.data === 'string' ? response.data : '';
+
+  if (captureSettings.recordDir) {
+    try {
+      writeSnapshot({
+        url,
+        finalUrl: location || url,
+        status: response.status,
+        capturedAt: new Date().toISOString(),
+        html
+      }, 'http');
+    } catch (error) {
+      console.error(`Error recording page ${url}: ${error.message}`);
+    }
+  }
+
+  return { url, status: response.status, location, html };
+}
+
+/**
+ * Save how a website was loaded in record mode, and in replay mode check that
+ * the saved pages lead to the same fetch path. A replay that escalates to the
+ * browser where the recording stayed on HTTP (or the other way round) is
+ * reading different pages than the recorded run did.
+ * @param {string} websiteUrl - URL of the website
+ * @param {string} fetchPath - Fetch path used ('http' or 'browser')
+ * @returns {boolean} - False if the replay took a different fetch path than the recording
+ */
+function checkFetchPath(websiteUrl, fetchPath) {
+  if (captureSettings.recordDir) {
+    try {
+      writeSnapshot({ url: websiteUrl, fetchPath, capturedAt: new Date().toISOString() }, 'fetch-path');
+    } catch (error) {
+      console.error(`Error recording fetch path of ${websiteUrl}: ${error.message}`);
+    }
+    return true;
+  }
+
+  if (!isReplaying()) return true;
+
+  const snapshot = loadSnapshot(websiteUrl, 'fetch-path');
+  if (!snapshot) {
+    console.log(`No recorded fetch path for ${websiteUrl}, cannot check the replay`);
+    return true;
+  }
+  if (snapshot.fetchPath !== fetchPath) {
+    console.error(`Replay mismatch for ${websiteUrl}: recorded fetch path was ${snapshot.fetchPath}, replay used ${fetchPath}`);
+    return false;
+  }
+  return true;
+}
+
+module.exports = {
+  configurePageCapture,
+  isReplaying,
+  preparePage,
+  capturePage,
+  fetchWithCapture,
+  checkFetchPath
+};
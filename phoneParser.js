@@ -0,0 +1,201 @@
+// Phone Parser Module
+// Finds phone numbers in tel: links and page text and normalizes them to
+// E.164 (+4930123456). Numbers written without a country code are read with
+// a country hint from the page: its address, language or country domain.
+
+// Countries we can place national numbers in: calling code, trunk prefix
+// dropped in international format, national number length range and names
+// used in addresses. +1 is shared, so US comes first and wins.
+const COUNTRIES = [
+  { code: 'US', callingCode: '1', trunkPrefix: '1', lengths: [10, 10], names: ['united states', 'united states of america', 'usa', 'u.s.a.', 'us'] },
+  { code: 'CA', callingCode: '1', trunkPrefix: '1', lengths: [10, 10], names: ['canada'] },
+  { code: 'GB', callingCode: '44', trunkPrefix: '0', lengths: [9, 10], names: ['united kingdom', 'uk', 'great britain', 'england', 'scotland', 'wales'] },
+  { code: 'IE', callingCode: '353', trunkPrefix: '0', lengths: [7, 9], names: ['ireland'] },
+  { code: 'DE', callingCode: '49', trunkPrefix: '0', lengths: [6, 13], names: ['germany', 'deutschland'] },
+  { code: 'AT', callingCode: '43', trunkPrefix: '0', lengths: [4, 13], names: ['austria', 'österreich'] },
+  { code: 'CH', callingCode: '41', trunkPrefix: '0', lengths: [9, 9], names: ['switzerland', 'schweiz', 'suisse'] },
+  { code: 'FR', callingCode: '33', trunkPrefix: '0', lengths: [9, 9], names: ['france'] },
+  { code: 'BE', callingCode: '32', trunkPrefix: '0', lengths: [8, 9], names: ['belgium', 'belgië', 'belgique'] },
+  { code: 'NL', callingCode: '31', trunkPrefix: '0', lengths: [9, 9], names: ['netherlands', 'the netherlands', 'nederland'] },
+  { code: 'LU', callingCode: '352', trunkPrefix: '', lengths: [4, 11], names: ['luxembourg'] },
+  { code: 'ES', callingCode: '34', trunkPrefix: '', lengths: [9, 9], names: ['spain', 'españa'] },
+  { code: 'PT', callingCode: '351', trunkPrefix: '', lengths: [9, 9], names: ['portugal'] },
+  { code: 'IT', callingCode: '39', trunkPrefix: '', lengths: [6, 11], names: ['italy', 'italia'] },
+  { code: 'DK', callingCode: '45', trunkPrefix: '', lengths: [8, 8], names: ['denmark', 'danmark'] },
+  { code: 'SE', callingCode: '46', trunkPrefix: '0', lengths: [7, 9], names: ['sweden', 'sverige'] },
+  { code: 'NO', callingCode: '47', trunkPrefix: '', lengths: [8, 8], names: ['norway', 'norge'] },
+  { code: 'FI', callingCode: '358', trunkPrefix: '0', lengths: [5, 12], names: ['finland', 'suomi'] },
+  { code: 'PL', callingCode: '48', trunkPrefix: '', lengths: [9, 9], names: ['poland', 'polska'] },
+  { code: 'CZ', callingCode: '420', trunkPrefix: '', lengths: [9, 9], names: ['czech republic', 'czechia'] },
+  { code: 'EE', callingCode: '372', trunkPrefix: '', lengths: [7, 8], names: ['estonia', 'eesti'] },
+  { code: 'UA', callingCode: '380', trunkPrefix: '0', lengths: [9, 9], names: ['ukraine'] },
+  { code: 'IL', callingCode: '972', trunkPrefix: '0', lengths: [8, 9], names: ['israel'] },
+  { code: 'AE', callingCode: '971', trunkPrefix: '0', lengths: [8, 9], names: ['united arab emirates', 'uae'] },
+  { code: 'IN', callingCode: '91', trunkPrefix: '0', lengths: [10, 10], names: ['india'] },
+  { code: 'SG', callingCode: '65', trunkPrefix: '', lengths: [8, 8], names: ['singapore'] },
+  { code: 'JP', callingCode: '81', trunkPrefix: '0', lengths: [9, 10], names: ['japan'] },
+  { code: 'AU', callingCode: '61', trunkPrefix: '0', lengths: [9, 9], names: ['australia'] },
+  { code: 'NZ', callingCode: '64', trunkPrefix: '0', lengths: [8, 10], names: ['new zealand'] },
+  { code: 'BR', callingCode: '55', trunkPrefix: '0', lengths: [10, 11], names: ['brazil', 'brasil'] },
+  { code: 'MX', callingCode: '52', trunkPrefix: '', lengths: [10, 10], names: ['mexico', 'méxico'] }
+];
+
+// Anything that could be a phone number: digits with the usual separators
+const PHONE_TOKEN_PATTERN = /(?:\+|\b00|\(|\b)\d[\d\s().\/-]{5,20}\d\b/g;
+
+// Labels in front of a number; numbers without a country code only count after one
+const PHONE_LABEL_PATTERN = /(?:\b(?:tel|telephone|phone|telefon|fon|call|mobile|mobil|cell|whatsapp)\b\.?|[☎📞]|\b[tp]\s*:)[^\d+]{0,10}$/i;
+const FAX_LABEL_PATTERN = /\bfax\b[^\d+]{0,10}$/i;
+
+/**
+ * Find a country by its ISO code or its name
+ * @param {string} value - ISO 3166 code (DE) or name (Germany, Deutschland)
+ * @returns {Object|undefined} - Country entry
+ */
+function findCountry(value) {
+  const normalized = String(value || '').trim().toLowerCase();
+  if (!normalized) return undefined;
+  return COUNTRIES.find(country => country.code.toLowerCase() === normalized || country.names.includes(normalized));
+}
+
+/**
+ * Get the ISO code of a country name or code
+ * @param {string} value - Country name or code
+ * @returns {string} - ISO 3166 code, or '' for countries we don't know
+ */
+function getCountryCode(value) {
+  const country = findCountry(value);
+  return country ? country.code : '';
+}
+
+/**
+ * Get the English name of a country
+ * @param {string} code - ISO 3166 code
+ * @returns {string} - Name, e.g. "Germany", or '' for countries we don't know
+ */
+function getCountryName(code) {
+  const country = findCountry(code);
+  if (!country) return '';
+  return country.names[0].replace(/\b\w/g, letter => letter.toUpperCase());
+}
+
+/**
+ * Get the country of a normalized number from its calling code
+ * @param {string} phoneNumber - E.164 number
+ * @returns {string} - ISO 3166 code, or '' for calling codes we don't know
+ */
+function getPhoneCountry(phoneNumber) {
+  const digits = String(phoneNumber || '').replace(/^\+/, '');
+  const country = COUNTRIES
+    .filter(entry => digits.startsWith(entry.callingCode))
+    .sort((a, b) => b.callingCode.length - a.callingCode.length)[0];
+  return country ? country.code : '';
+}
+
+/**
+ * Guess the country a page is written for: the region of its language
+ * (lang="de-AT") or its country code domain (.de)
+ * @param {Object} $ - Cheerio instance of the page
+ * @param {string} pageUrl - URL of the page
+ * @returns {string} - ISO 3166 code, or '' if there is no hint
+ */
+function getCountryHint($, pageUrl) {
+  const language = $('html').attr('lang') || '';
+  const region = language.split(/[-_]/)[1];
+  if (region && getCountryCode(region)) {
+    return getCountryCode(region);
+  }
+
+  try {
+    const topLevelDomain = new URL(pageUrl).hostname.split('.').pop();
+    return getCountryCode(topLevelDomain === 'uk' ? 'GB' : topLevelDomain);
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Normalize a phone number to E.164
+ * @param {string} raw - Number as found (may include tel:, separators, "(0)" or an extension)
+ * @param {string} countryHint - ISO code of the country to read numbers without a country code in
+ * @returns {string} - E.164 number, or '' if it isn't a valid number
+ */
+function normalizePhoneNumber(raw, countryHint) {
+  let value = String(raw || '').trim();
+  try {
+    value = decodeURIComponent(value);
+  } catch (error) {
+    // Keep the raw value
+  }
+  value = value
+    .replace(/^tel:/i, '')
+    .split(/;ext=|\s*(?:ext\.?|x|#)\s*\d+$/i)[0]
+    .replace(/\(0\)/g, '');
+
+  const isInternational = /^\s*(\+|00)/.test(value);
+  const digits = value.replace(/\D/g, '').replace(/^00/, '');
+  if (digits.length < 6 || digits.length > 15) return '';
+
+  if (isInternational) {
+    const country = COUNTRIES.find(entry => entry.code === getPhoneCountry(digits));
+    if (!country) {
+      // E.164 numbers have 8 to 15 digits including the calling code
+      return digits.length >= 8 ? `+${digits}` : '';
+    }
+    const nationalNumber = digits.slice(country.callingCode.length);
+    const [minLength, maxLength] = country.lengths;
+    return nationalNumber.length >= minLength && nationalNumber.length <= maxLength ? `+${digits}` : '';
+  }
+
+  const country = findCountry(countryHint);
+  if (!country) return '';
+
+  let nationalNumber = digits;
+  if (country.trunkPrefix && nationalNumber.startsWith(country.trunkPrefix) && nationalNumber.length > country.lengths[0]) {
+    nationalNumber = nationalNumber.slice(country.trunkPrefix.length);
+  }
+  const [minLength, maxLength] = country.lengths;
+  if (nationalNumber.length < minLength || nationalNumber.length > maxLength) return '';
+
+  return `+${country.callingCode}${nationalNumber}`;
+}
+
+/**
+ * Find phone numbers in text. Numbers with a country code count anywhere,
+ * national ones only after a label like "Tel." or "Phone:"; fax numbers never.
+ * @param {string} text - Text to search
+ * @param {string} countryHint - ISO code of the country to read national numbers in
+ * @returns {Array} - E.164 numbers in the order they appear, without duplicates
+ */
+function findPhoneNumbersInText(text, countryHint) {
+  const phoneNumbers = [];
+  const source = String(text || '');
+
+  for (const match of source.matchAll(PHONE_TOKEN_PATTERN)) {
+    const token = match[0];
+    const before = source.slice(Math.max(0, match.index - 25), match.index);
+    if (FAX_LABEL_PATTERN.test(before)) continue;
+
+    const isInternational = /^(\+|00)/.test(token);
+    if (!isInternational && !PHONE_LABEL_PATTERN.test(before)) continue;
+
+    // Dates and number ranges look like numbers with separators
+    if (/^\d{4}[-./]\d{1,2}[-./]\d{1,2}$|^\d{1,2}[-./]\d{1,2}[-./]\d{2,4}$/.test(token.trim())) continue;
+
+    const phoneNumber = normalizePhoneNumber(token, countryHint);
+    if (phoneNumber && !phoneNumbers.includes(phoneNumber)) {
+      phoneNumbers.push(phoneNumber);
+    }
+  }
+
+  return phoneNumbers;
+}
+
+module.exports = {
+  getCountryCode,
+  getCountryName,
+  getPhoneCountry,
+  getCountryHint,
+  normalizePhoneNumber,
+  findPhoneNumbersInText
+};
@@ -0,0 +1,164 @@
+// Postal Address Module
+// Finds a company's postal address in schema.org PostalAddress data
+// (JSON-LD and microdata), <address> elements and imprint blocks, and
+// formats it as one line ending in the country name.
+const { getCountryCode, getCountryName } = require('./phoneParser');
+
+// A postal code and town line: "10115 Berlin", "D-10115 Berlin", "1011 AB Amsterdam",
+// "SW1A 1AA London", "London SW1A 1AA" or "San Francisco, CA 94103"
+const POSTAL_LINE_PATTERNS = [
+  /^(?:[A-Z]{1,2}[- ])?\d{4,5}\s+\p{Lu}[\p{L} .'()-]{1,40}$/u,
+  /^\d{4}\s?[A-Z]{2}\s+\p{Lu}[\p{L} .'-]{1,40}$/u,
+  /^(?:\p{Lu}[\p{L} .'-]{1,40}\s+)?[A-Z]{1,2}\d[A-Z\d]?\s*\d[A-Z]{2}(?:\s+\p{Lu}[\p{L} .'-]{1,40})?$/u,
+  /^\p{Lu}[\p{L} .'-]{1,40},\s*[A-Z]{2}\s+\d{5}(?:-\d{4})?$/u
+];
+
+// A street line: a name and a house number in either order ("Hauptstr. 1", "1 Main Street")
+const STREET_LINE_PATTERN = /^(?:\p{L}[\p{L} .'-]{2,40}\s+\d+[a-z]?(?:[-/]\d+[a-z]?)?|\d+[a-z]?\s+\p{L}[\p{L} .'-]{2,40})(?:,.*)?$/u;
+
+/**
+ * Get the ISO code of a schema.org addressCountry, which may be a code, a name or a Country
+ * @param {*} addressCountry - schema.org addressCountry value
+ * @returns {string} - ISO 3166 code, or '' for countries we don't know
+ */
+function getSchemaCountryCode(addressCountry) {
+  if (addressCountry && typeof addressCountry === 'object') {
+    return getCountryCode(addressCountry.name || addressCountry.identifier);
+  }
+  return getCountryCode(addressCountry);
+}
+
+/**
+ * Format a schema.org PostalAddress as one line
+ * @param {Object} address - PostalAddress ({streetAddress, postalCode, addressLocality, addressRegion, addressCountry})
+ * @returns {string} - e.g. "Hauptstr. 1, 10115 Berlin, Germany", or '' without a street or town
+ */
+function formatPostalAddress(address) {
+  if (!address || typeof address !== 'object') return '';
+  const text = (value) => (typeof value === 'string' || typeof value === 'number' ? String(value).replace(/\s+/g, ' ').trim() : '');
+
+  const street = text(address.streetAddress);
+  const town = [text(address.postalCode), text(address.addressLocality)].filter(Boolean).join(' ');
+  if (!street && !town) return '';
+
+  const countryCode = getSchemaCountryCode(address.addressCountry);
+  const country = countryCode ? getCountryName(countryCode) : text(address.addressCountry);
+  return [street, town, text(address.addressRegion), country].filter(Boolean).join(', ');
+}
+
+/**
+ * Get the country of a formatted address
+ * @param {string} address - Address from formatPostalAddress or findPostalAddresses
+ * @returns {string} - ISO 3166 code, or '' if the address doesn't end in a known country
+ */
+function getAddressCountry(address) {
+  const lastPart = String(address || '').split(',').pop();
+  return getCountryCode(lastPart);
+}
+
+/**
+ * Get the text of an element line by line, with <br> and block elements as line breaks
+ * @param {Object} $ - Cheerio instance of the page
+ * @param {Object} element - Element to read
+ * @returns {Array} - Trimmed, non-empty lines
+ */
+function getTextLines($, element) {
+  const $copy = $(element).clone();
+  $copy.find('script, style, noscript, template').remove();
+  $copy.find('br').replaceWith('\n');
+  $copy.find('p, div, li, tr, h1, h2, h3, h4, h5, h6, address, section').each((_, block) => {
+    $(block).prepend('\n').append('\n');
+  });
+
+  return $copy.text()
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Find an address in lines of text: a street line followed by a postal code
+ * and town line, and optionally a country line
+ * @param {Array} lines - Lines of text
+ * @param {string} countryHint - ISO code of the country to assume when no country line follows
+ * @returns {string} - Formatted address, or '' if there is none
+ */
+function findAddressInLines(lines, countryHint) {
+  for (let index = 1; index < lines.length; index++) {
+    const line = lines[index];
+    if (!POSTAL_LINE_PATTERNS.some(pattern => pattern.test(line))) continue;
+
+    const street = lines[index - 1];
+    if (!STREET_LINE_PATTERN.test(street) || street.length > 60) continue;
+
+    const countryCode = getCountryCode(lines[index + 1]) || getCountryCode(countryHint);
+    return [street, line, countryCode ? getCountryName(countryCode) : ''].filter(Boolean).join(', ');
+  }
+  return '';
+}
+
+/**
+ * Find the postal addresses on a page
+ * @param {Object} $ - Cheerio instance of the page (scripts included, for JSON-LD)
+ * @param {Object} options - Search options
+ * @param {string} options.countryHint - ISO code of the country the page is written for
+ * @param {boolean} options.isContactPage - Whether the page is a contact or imprint page, whose text is searched too
+ * @returns {Array} - Addresses with where they were found ({address, source}); source is json-ld, microdata, address-tag or page-text
+ */
+function findPostalAddresses($, options = {}) {
+  const found = [];
+  const addAddress = (address, source) => {
+    if (address && !found.some(entry => entry.address === address)) {
+      found.push({ address, source });
+    }
+  };
+
+  // JSON-LD PostalAddress nodes, wherever they are nested
+  $('script[type="application/ld+json"]').each((_, script) => {
+    let data;
+    try {
+      data = JSON.parse($(script).contents().text());
+    } catch (error) {
+      return;
+    }
+
+    const visit = (node) => {
+      if (!node || typeof node !== 'object') return;
+      if (Array.isArray(node)) {
+        node.forEach(visit);
+        return;
+      }
+      const types = Array.isArray(node['@type']) ? node['@type'] : [node['@type']];
+      if (types.includes('PostalAddress')) {
+        addAddress(formatPostalAddress(node), 'json-ld');
+      }
+      Object.values(node).forEach(visit);
+    };
+    visit(data);
+  });
+
+  // Microdata: itemprop values of an element typed schema.org/PostalAddress
+  $('[itemtype*="schema.org/PostalAddress"]').each((_, element) => {
+    const address = {};
+    $(element).find('[itemprop]').each((_, property) => {
+      address[$(property).attr('itemprop')] = $(property).attr('content') || $(property).text();
+    });
+    addAddress(formatPostalAddress(address), 'microdata');
+  });
+
+  // <address> elements, then the text of imprint and contact pages
+  $('address').each((_, element) => {
+    addAddress(findAddressInLines(getTextLines($, element), options.countryHint), 'address-tag');
+  });
+  if (options.isContactPage && $('body').length > 0) {
+    addAddress(findAddressInLines(getTextLines($, $('body')), options.countryHint), 'page-text');
+  }
+
+  return found;
+}
+
+module.exports = {
+  formatPostalAddress,
+  getAddressCountry,
+  findPostalAddresses
+};
@@ -0,0 +1,182 @@
+// Product Record Module
+// Shape of one CSV row (one product plus one of its people) shared by the
+// scraper and the exports that regenerate the CSV.
+const { getContactCandidates } = require('./contactCandidates');
+const { classifyEmail } = require('./emailClassifier');
+
+// CSV columns in output order
+const CSV_HEADER = [
+  { id: 'productName', title: 'Product Name' },
+  { id: 'rank', title: 'Rank' },
+  { id: 'upvotes', title: 'Upvotes' },
+  { id: 'tagline', title: 'Tagline' },
+  { id: 'commentCount', title: 'Comment Count' },
+  { id: 'topics', title: 'Topics' },
+  { id: 'productUrl', title: 'Product URL' },
+  { id: 'launchUrl', title: 'Launch URL' },
+  { id: 'productWebsite', title: 'Product Website' },
+  { id: 'websiteDomain', title: 'Website Domain' },
+  { id: 'redirectChain', title: 'Redirect Chain' },
+  { id: 'websiteStrategy', title: 'Website Strategy' },
+  { id: 'websiteConfidence', title: 'Website Confidence' },
+  { id: 'role', title: 'Role' },
+  { id: 'makerName', title: 'Maker Name' },
+  { id: 'makerUrl', title: 'Maker URL' },
+  { id: 'email', title: 'Email' },
+  { id: 'emailSource', title: 'Email Source' },
+  { id: 'emailConfidence', title: 'Email Confidence' },
+  { id: 'emailClass', title: 'Email Class' },
+  { id: 'alternativeEmails', title: 'Alternative Emails' },
+  { id: 'xId', title: 'X (Twitter) ID' },
+  { id: 'linkedinUrl', title: 'LinkedIn URL' },
+  { id: 'jobTitle', title: 'Job Title' },
+  { id: 'companyEmail', title: 'Company Email' },
+  { id: 'companyLinkedin', title: 'Company LinkedIn' },
+  { id: 'makerHeadline', title: 'Maker Headline' },
+  { id: 'makerBio', title: 'Maker Bio' },
+  { id: 'makerFollowers', title: 'Maker Followers' },
+  { id: 'makerFollowing', title: 'Maker Following' },
+  { id: 'makerProducts', title: 'Maker Products' },
+  { id: 'makerLinks', title: 'Maker Links' },
+  { id: 'websiteEmail', title: 'Website Email' },
+  { id: 'websiteEmailSource', title: 'Website Email Source' },
+  { id: 'websiteEmailConfidence', title: 'Website Email Confidence' },
+  { id: 'websiteEmailClass', title: 'Website Email Class' },
+  { id: 'websiteAlternativeEmails', title: 'Website Alternative Emails' },
+  { id: 'websiteTwitter', title: 'Website Twitter' },
+  { id: 'websiteLinkedin', title: 'Website LinkedIn' },
+  { id: 'websiteContactPage', title: 'Website Contact Page' },
+  { id: 'websitePhone', title: 'Website Phone' },
+  { id: 'websiteAddress', title: 'Website Address' },
+  { id: 'websiteCountry', title: 'Website Country' },
+  { id: 'websiteFetchPath', title: 'Website Fetch Path' },
+  { id: 'contactFormUrl', title: 'Contact Form URL' },
+  { id: 'contactFormProvider', title: 'Contact Form Provider' },
+  { id: 'contactFormFields', title: 'Contact Form Fields' },
+  { id: 'companyName', title: 'Company Name' },
+  { id: 'companyDescription', title: 'Company Description' },
+  { id: 'companyLogo', title: 'Company Logo' },
+  { id: 'companyFounded', title: 'Company Founded' },
+  { id: 'companyFounders', title: 'Company Founders' },
+  { id: 'companyProfiles', title: 'Company Profiles' },
+  { id: 'commentText', title: 'Comment' },
+  { id: 'commentUpvotes', title: 'Comment Upvotes' },
+  { id: 'commentDate', title: 'Comment Date' },
+  { id: 'extractedDate', title: 'Extracted Date' },
+  { id: 'leaderboardPeriod', title: 'Leaderboard Period' }
+];
+
+// Function to describe the chosen email of a candidate list and its alternatives
+function describeEmailCandidates(candidates, chosenEmail) {
+  const emails = getContactCandidates(candidates, 'email');
+  const chosen = emails.find(candidate => candidate.value === (chosenEmail || '').toLowerCase());
+  
+  return {
+    source: chosen ? chosen.source : '',
+    confidence: chosen ? chosen.confidence : '',
+    alternatives: emails.filter(candidate => candidate !== chosen).map(candidate => candidate.value).join('; ')
+  };
+}
+
+// Function to build one CSV record for a product and (optionally) one of its makers
+function createProductRecord(product, productDetails, maker, runInfo) {
+  const details = productDetails || {};
+  const websiteContactInfo = details.websiteContactInfo || {};
+  const company = websiteContactInfo.company || {};
+  const contactForm = (websiteContactInfo.contactForms || [])[0] || {};
+  const makerInfo = maker || {};
+  const makerEmail = describeEmailCandidates(makerInfo.contactCandidates, makerInfo.email);
+  const websiteEmail = describeEmailCandidates(websiteContactInfo.candidates, websiteContactInfo.email);
+  
+  return {
+    productName: product.name,
+    rank: product.rank || '',
+    upvotes: product.upvotes === undefined ? '' : product.upvotes,
+    tagline: product.tagline || '',
+    commentCount: product.commentCount === undefined ? '' : product.commentCount,
+    topics: (product.topics || []).join('; '),
+    productUrl: product.url,
+    launchUrl: product.launchUrl || product.url,
+    productWebsite: details.productWebsite || '',
+    websiteDomain: details.websiteDomain || '',
+    redirectChain: (details.redirectChain || []).join(' -> '),
+    websiteStrategy: details.websiteStrategy || '',
+    websiteConfidence: details.websiteConfidence === undefined ? '' : details.websiteConfidence,
+    role: makerInfo.role || '',
+    makerName: makerInfo.name || '',
+    makerUrl: makerInfo.url || '',
+    email: makerInfo.email || '',
+    emailSource: makerEmail.source,
+    emailConfidence: makerEmail.confidence,
+    emailClass: classifyEmail(makerInfo.email, { personName: makerInfo.name }),
+    alternativeEmails: makerEmail.alternatives,
+    xId: makerInfo.xId || '',
+    linkedinUrl: makerInfo.linkedinUrl || '',
+    jobTitle: makerInfo.jobTitle || '',
+    companyEmail: makerInfo.companyEmail || '',
+    companyLinkedin: makerInfo.companyLinkedinUrl || '',
+    makerHeadline: makerInfo.headline || '',
+    makerBio: makerInfo.bio || '',
+    makerFollowers: makerInfo.followers === undefined ? '' : makerInfo.followers,
+    makerFollowing: makerInfo.following === undefined ? '' : makerInfo.following,
+    makerProducts: (makerInfo.madeProducts || []).map(madeProduct => madeProduct.name).join('; '),
+    makerLinks: (makerInfo.links || []).map(link => `${link.type}: ${link.url}`).join('; '),
+    websiteEmail: websiteContactInfo.email || '',
+    websiteEmailSource: websiteEmail.source,
+    websiteEmailConfidence: websiteEmail.confidence,
+    websiteEmailClass: classifyEmail(websiteContactInfo.email),
+    websiteAlternativeEmails: websiteEmail.alternatives,
+    websiteTwitter: websiteContactInfo.twitter || '',
+    websiteLinkedin: websiteContactInfo.linkedin || '',
+    websiteContactPage: websiteContactInfo.website || '',
+    websitePhone: websiteContactInfo.phone || '',
+    websiteAddress: websiteContactInfo.address || '',
+    websiteCountry: websiteContactInfo.country || '',
+    websiteFetchPath: websiteContactInfo.fetchPath || '',
+    contactFormUrl: contactForm.url || '',
+    contactFormProvider: contactForm.provider || '',
+    contactFormFields: (contactForm.fields || []).join('; '),
+    companyName: company.name || '',
+    companyDescription: company.description || '',
+    companyLogo: company.logo || '',
+    companyFounded: company.foundingDate || '',
+    companyFounders: (company.founders || []).join('; '),
+    companyProfiles: (company.socialProfiles || []).join('; '),
+    commentText: makerInfo.comment ? makerInfo.comment.text : '',
+    commentUpvotes: makerInfo.comment ? makerInfo.comment.upvotes : '',
+    commentDate: makerInfo.comment ? makerInfo.comment.timestamp : '',
+    extractedDate: runInfo.extractedDate,
+    leaderboardPeriod: runInfo.leaderboardPeriod
+  };
+}
+
+// Function to build all CSV records for a product: one per maker (or a single
+// record without maker info), followed by one per commenter
+function createProductRecords(product, productDetails, people, runInfo) {
+  const records = [];
+  const makers = people.filter(person => person.role !== 'commenter');
+  const commenters = people.filter(person => person.role === 'commenter');
+  
+  if (makers.length > 0) {
+    // For each maker, create an entry in the CSV
+    for (const maker of makers) {
+      records.push(createProductRecord(product, productDetails, maker, runInfo));
+    }
+  } else {
+    // If no makers found, still add the product with empty maker info
+    records.push(createProductRecord(product, productDetails, null, runInfo));
+  }
+  
+  // Commenters follow the makers as a second tier of leads
+  for (const commenter of commenters) {
+    records.push(createProductRecord(product, productDetails, commenter, runInfo));
+  }
+  
+  return records;
+}
+
+module.exports = {
+  CSV_HEADER,
+  createProductRecord,
+  createProductRecords
+};
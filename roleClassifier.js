@@ -0,0 +1,205 @@
+// Role Classifier Module
+// Tells apart the people linked from a product page: makers who built the
+// product, the hunter who posted it, and other team members.
+const { cleanText } = require('./utils');
+
+// Roles in outreach priority order
+const PERSON_ROLES = ['maker', 'team', 'hunter'];
+
+// Headings that title the product's team
+const TEAM_HEADINGS = ['meet the team', 'team', 'makers', 'the makers'];
+
+// Badge labels per role, e.g. "Maker" or "Co-founder" under a name
+const ROLE_BADGES = {
+  maker: ['maker', 'makers', 'founder', 'co-founder', 'cofounder', 'creator'],
+  hunter: ['hunter']
+};
+
+// Areas whose links and labels never describe the product's team: navigation
+// tabs (a "Team" tab is not the team section) and the comment thread
+const EXCLUDED_AREAS = 'nav, header, footer, [role="navigation"], [role="tablist"], [role="tab"], [class*="comment" i], [id*="comment" i], [data-test*="comment" i]';
+
+// How far above its heading the team section's container may be
+const MAX_SECTION_DEPTH = 4;
+
+/**
+ * Check whether an element is inside navigation or the comment thread
+ * @param {Object} $ - Cheerio instance
+ * @param {Object} element - Element to check
+ * @returns {boolean} - True if the element is in an excluded area
+ */
+function isInExcludedArea($, element) {
+  return $(element).closest(EXCLUDED_AREAS).length > 0;
+}
+
+/**
+ * Find the element that holds the product's team, e.g. under a "Meet the team"
+ * heading. The walk up from the heading stops at its section, so a heading
+ * without profile links nearby never grows into the whole page.
+ * @param {Object} $ - Cheerio instance of the product page
+ * @returns {Object|null} - Cheerio element of the team section, or null
+ */
+function findTeamSection($) {
+  const heading = $('h1, h2, h3, h4, h5, h6, [role="heading"]').filter((_, element) => {
+    const text = cleanText($(element).text()).toLowerCase();
+    return TEAM_HEADINGS.includes(text) && !isInExcludedArea($, element);
+  }).first();
+
+  if (heading.length === 0) {
+    return null;
+  }
+
+  // Walk up from the heading until the container includes the profile links
+  const boundary = heading.closest('section, article');
+  let section = heading.parent();
+  for (let level = 0; level < MAX_SECTION_DEPTH && section.length > 0 && !section.is('body, html, main'); level++) {
+    if (section.find('a[href^="/@"]').length > 0) {
+      return section;
+    }
+    if (boundary.length > 0 && section.is(boundary)) {
+      break;
+    }
+    section = section.parent();
+  }
+
+  return null;
+}
+
+/**
+ * Find the card of one person: the largest ancestor of their profile link that
+ * doesn't contain anyone else's profile
+ * @param {Object} $ - Cheerio instance
+ * @param {Object} link - Profile link element
+ * @param {string} profilePath - Profile path of the person (/@username)
+ * @returns {Object} - Cheerio element of the card
+ */
+function findPersonCard($, link, profilePath) {
+  let card = $(link);
+  let parent = card.parent();
+
+  while (parent.length > 0 && parent.find('a[href^="/@"]').toArray()
+    .every(other => $(other).attr('href').split('?')[0] === profilePath)) {
+    card = parent;
+    parent = parent.parent();
+  }
+
+  return card;
+}
+
+/**
+ * Get the text of an element with its text nodes separated, so adjacent
+ * labels like "Ann" and "Maker" don't run together
+ * @param {Object} $ - Cheerio instance
+ * @param {Object} element - Cheerio element
+ * @returns {string} - Text with spaces between text nodes
+ */
+function getSeparatedText($, element) {
+  const texts = element.find('*').addBack().contents()
+    .filter((_, node) => node.type === 'text')
+    .map((_, node) => $(node).text())
+    .get();
+  return cleanText(texts.join(' '));
+}
+
+/**
+ * Get the roles named by a badge or label element, e.g. "Maker" or "Maker & Hunter"
+ * @param {string} label - Text of the element
+ * @returns {Array} - Roles of the badge; empty for text that isn't a badge, like a headline
+ */
+function getBadgeRoles(label) {
+  const parts = cleanText(label).toLowerCase().split(/\s*(?:[&,/|·]|\band\b)\s*/).filter(Boolean);
+  const roles = parts.map(part => Object.keys(ROLE_BADGES).find(role => ROLE_BADGES[role].includes(part)));
+  return parts.length > 0 && roles.every(Boolean) ? roles : [];
+}
+
+/**
+ * Classify a person from the badges on their card. Only elements whose whole
+ * text is a badge count, so a headline like "Founder of another startup" or a
+ * bio mentioning a hunter doesn't change the role.
+ * @param {Object} $ - Cheerio instance
+ * @param {Object} card - Cheerio element of the person's card
+ * @returns {string} - Role (maker, hunter or team)
+ */
+function classifyCardBadges($, card) {
+  const roles = card.find('*')
+    .filter((_, element) => $(element).children().length === 0 && !isInExcludedArea($, element))
+    .map((_, element) => getBadgeRoles($(element).text()))
+    .get();
+
+  // Makers who also hunted their own product are makers first
+  if (roles.includes('maker')) {
+    return 'maker';
+  }
+  if (roles.includes('hunter')) {
+    return 'hunter';
+  }
+  return 'team';
+}
+
+/**
+ * Classify the people on a product page. Only the team section and explicit
+ * "Hunted by" credits are used, and navigation and comments are skipped, so
+ * commenters never end up in the list.
+ * @param {Object} $ - Cheerio instance of the product page
+ * @returns {Array} - People ({url, name, role}) in outreach priority order
+ */
+function classifyProductPeople($) {
+  const people = new Map();
+
+  const addPerson = (link, role) => {
+    const profilePath = $(link).attr('href').split('?')[0];
+    const url = `https://www.producthunt.com${profilePath}`;
+    const existing = people.get(url);
+    const linkName = cleanText($(link).text());
+
+    // Avatar links have no text, so a later link may carry the name
+    if (existing && linkName && existing.name === profilePath.replace('/@', '')) {
+      existing.name = linkName;
+    }
+
+    // A person listed in several places keeps their strongest role
+    if (existing && PERSON_ROLES.indexOf(existing.role) <= PERSON_ROLES.indexOf(role)) {
+      return;
+    }
+
+    const name = linkName || (existing && existing.name) || profilePath.replace('/@', '');
+    people.set(url, { url, name, role });
+  };
+
+  const teamSection = findTeamSection($);
+  if (teamSection) {
+    teamSection.find('a[href^="/@"]').each((_, link) => {
+      if (isInExcludedArea($, link)) return;
+      const profilePath = $(link).attr('href').split('?')[0];
+      const card = findPersonCard($, link, profilePath);
+      addPerson(link, classifyCardBadges($, card));
+    });
+  } else {
+    // Without a team section, only trust an explicit "Maker" badge next to the link
+    $('a[href^="/@"]').each((_, link) => {
+      if (isInExcludedArea($, link)) return;
+      const hasMakerBadge = $(link).parent().find('span, div')
+        .filter((_, badge) => cleanText($(badge).text()) === 'Maker').length > 0;
+      if (hasMakerBadge) {
+        addPerson(link, 'maker');
+      }
+    });
+  }
+
+  // "Hunted by <name>" credits the hunter outside the team section
+  $('a[href^="/@"]').each((_, link) => {
+    if (isInExcludedArea($, link)) return;
+    const context = getSeparatedText($, $(link).parent()).toLowerCase();
+    if (/hunted by/.test(context)) {
+      addPerson(link, 'hunter');
+    }
+  });
+
+  return Array.from(people.values())
+    .sort((a, b) => PERSON_ROLES.indexOf(a.role) - PERSON_ROLES.indexOf(b.role));
+}
+
+module.exports = {
+  PERSON_ROLES,
+  classifyProductPeople
+};
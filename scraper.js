@@ -1,9 +1,18 @@
 // Product Hunt Scraper Module
 const cheerio = require('cheerio');
-const { createObjectCsvWriter } = require('csv-writer');
+const { createObjectCsvStringifier } = require('csv-writer');
 const { extractContactInfo } = require('./contactExtractor');
 const { extractWebsiteContactInfo } = require('./websiteContactExtractor');
-const { delay, formatDate, randomDelay, cleanText, isValidUrl, extractDateFromUrl } = require('./utils');
+const { matchPeopleToMakers } = require('./teamPageExtractor');
+const { configurePageCapture, preparePage, capturePage } = require('./pageRecorder');
+const { resolveProductWebsite } = require('./websiteResolvers');
+const { classifyProductPeople } = require('./roleClassifier');
+const { loadAllComments, extractCommentsFromHtml, selectCommenters } = require('./commentExtractor');
+const { createPagePool, mapWithConcurrency } = require('./pagePool');
+const { loadCheckpoint, createCheckpoint, saveCompletedProduct, saveRunId, removeCheckpoint } = require('./checkpoint');
+const { CSV_HEADER, createProductRecords } = require('./productRecord');
+const { openStore, startRun, finishRun, saveProductResult } = require('./sqliteStore');
+const { delay, formatDate, randomDelay, cleanText, parseCount, isValidUrl, extractDateFromUrl, parseLeaderboardUrl, extractTopicFromUrl, parseProductHuntUrl } = require('./utils');
 const fs = require('fs');
 const path = require('path');
 const axios = require('axios');
@@ -35,19 +44,40 @@ async function scrapeProductHunt(browser, options = {}) {
     targetUrl: options.targetUrl || 'https://www.producthunt.com/leaderboard/daily/2025/3/17/all',
     maxMakersPerProduct: process.env.MAX_MAKERS_PER_PRODUCT ? parseInt(process.env.MAX_MAKERS_PER_PRODUCT) : 3,
     skipComments: process.env.SKIP_COMMENTS === 'true',
+    maxCommentersPerProduct: process.env.MAX_COMMENTERS_PER_PRODUCT ? parseInt(process.env.MAX_COMMENTERS_PER_PRODUCT) : 5,
+    maxTopicPages: 10,
+    concurrency: 1,
+    resume: false,
+    dbPath: '',
+    recordDir: '',
+    replayDir: '',
+    outputFile: '',
     ...options
   };
   
-  // Track request patterns to implement adaptive rate limiting
-  const requestStats = {
-    lastRequestTime: Date.now(),
-    consecutiveRequests: 0,
-    totalRequests: 0,
-    failedRequests: 0
+  // Enable record/replay of page loads if requested
+  configurePageCapture({ recordDir: config.recordDir, replayDir: config.replayDir });
+  
+  // Track request patterns per host to implement adaptive rate limiting
+  const hostRequestStats = new Map();
+  const hostDelayQueues = new Map();
+  
+  const getRequestStats = (host) => {
+    if (!hostRequestStats.has(host)) {
+      hostRequestStats.set(host, {
+        lastRequestTime: Date.now(),
+        consecutiveRequests: 0,
+        totalRequests: 0,
+        failedRequests: 0
+      });
+    }
+    return hostRequestStats.get(host);
   };
   
-  // Adaptive rate limiting function
-  const adaptiveDelay = async () => {
+  // Adaptive rate limiting for a single host
+  const waitForHost = async (host) => {
+    const requestStats = getRequestStats(host);
+    
     // Calculate time since last request
     const timeSinceLastRequest = Date.now() - requestStats.lastRequestTime;
     
@@ -75,7 +105,7 @@ async function scrapeProductHunt(browser, options = {}) {
       delayTime += requestStats.failedRequests * 1000;
     }
     
-    console.log(`Waiting ${Math.round(delayTime)}ms before next request...`);
+    console.log(`Waiting ${Math.round(delayTime)}ms before next request to ${host}...`);
     await delay(delayTime);
     
     // Update request stats
@@ -83,168 +113,290 @@ async function scrapeProductHunt(browser, options = {}) {
     requestStats.totalRequests++;
   };
   
-  console.log(`Scraper config: maxProducts=${config.maxProducts}, delayBetweenRequests=${config.delayBetweenRequests}ms, targetUrl=${config.targetUrl}`);
-  console.log(`Additional settings: maxMakersPerProduct=${config.maxMakersPerProduct}, skipComments=${config.skipComments}`);
+  // Adaptive rate limiting function. Concurrent workers queue per host, so
+  // each host still sees one request per delay window.
+  const adaptiveDelay = (host) => {
+    const previousDelay = hostDelayQueues.get(host) || Promise.resolve();
+    const nextDelay = previousDelay.then(() => waitForHost(host));
+    hostDelayQueues.set(host, nextDelay.catch(() => {}));
+    return nextDelay;
+  };
+  
+  console.log(`Scraper config: maxProducts=${config.maxProducts}, delayBetweenRequests=${config.delayBetweenRequests}ms, concurrency=${config.concurrency}, targetUrl=${config.targetUrl}`);
+  console.log(`Additional settings: maxMakersPerProduct=${config.maxMakersPerProduct}, skipComments=${config.skipComments}, maxCommentersPerProduct=${config.maxCommentersPerProduct}`);
+  console.log(`Website crawl budget: crawlMaxPages=${config.crawlMaxPages}, crawlMaxDepth=${config.crawlMaxDepth}, crawlTimeBudget=${config.crawlTimeBudget}ms`);
   
-  // CSV Writer setup
-  const csvFilePath = path.join(__dirname, `product_hunt_data_${formatDate(new Date())}.csv`);
+  // Resume from the checkpoint of an interrupted run for the same target URL, if asked to
+  let checkpoint = config.resume ? loadCheckpoint(config.targetUrl) : null;
+  if (checkpoint) {
+    console.log(`Resuming from checkpoint: ${Object.keys(checkpoint.completed).length} products already completed`);
+  } else {
+    if (config.resume) {
+      console.log('No checkpoint found for this target URL, starting a fresh run');
+    }
+    const defaultCsvFilePath = path.join(__dirname, `product_hunt_data_${formatDate(new Date())}.csv`);
+    checkpoint = createCheckpoint(config.targetUrl, config.outputFile || defaultCsvFilePath);
+  }
+  
+  // CSV Writer setup (a resumed run finalizes the file the interrupted run started)
+  const csvFilePath = checkpoint.csvFilePath;
   console.log(`CSV will be saved to: ${csvFilePath}`);
   
-  // Extract date from the target URL
+  // Extract date (or weekly/monthly/yearly period) from the target URL
   const extractedDate = extractDateFromUrl(config.targetUrl);
-  console.log(`Extracted date from URL: ${extractedDate}`);
-  
-  const csvWriter = createObjectCsvWriter({
-    path: csvFilePath,
-    header: [
-      { id: 'productName', title: 'Product Name' },
-      { id: 'productUrl', title: 'Product URL' },
-      { id: 'productWebsite', title: 'Product Website' },
-      { id: 'makerName', title: 'Maker Name' },
-      { id: 'makerUrl', title: 'Maker URL' },
-      { id: 'email', title: 'Email' },
-      { id: 'xId', title: 'X (Twitter) ID' },
-      { id: 'linkedinUrl', title: 'LinkedIn URL' },
-      { id: 'websiteEmail', title: 'Website Email' },
-      { id: 'websiteTwitter', title: 'Website Twitter' },
-      { id: 'websiteLinkedin', title: 'Website LinkedIn' },
-      { id: 'websiteContactPage', title: 'Website Contact Page' },
-      { id: 'extractedDate', title: 'Extracted Date' }
-    ]
-  });
+  const leaderboardInfo = parseLeaderboardUrl(config.targetUrl);
+  const runInfo = {
+    extractedDate,
+    leaderboardPeriod: leaderboardInfo ? leaderboardInfo.period : '',
+    topic: extractTopicFromUrl(config.targetUrl)
+  };
+  console.log(`Extracted date from URL: ${extractedDate} (${runInfo.leaderboardPeriod || 'unknown period'})`);
   
-  // Array to store all product data
-  let allProductData = [];
+  const csvStringifier = createObjectCsvStringifier({ header: CSV_HEADER });
+  
+  // Open the SQLite store if configured; a resumed run keeps writing to its original run
+  const store = config.dbPath ? openStore(config.dbPath) : null;
+  if (store && !checkpoint.runId) {
+    saveRunId(checkpoint, startRun(store, { targetUrl: config.targetUrl, csvFilePath, ...runInfo }));
+  }
+  
+  // Start the file with just the header; rows are appended as products finish
+  fs.writeFileSync(csvFilePath, csvStringifier.getHeaderString());
+  
+  // Rows are appended in product order, so a product that finishes early
+  // waits here until every product before it has been written
+  const finishedRecords = [];
+  let nextProductToWrite = 0;
+  let writtenRecordCount = 0;
+  
+  const writeFinishedRecords = () => {
+    while (finishedRecords[nextProductToWrite]) {
+      const records = finishedRecords[nextProductToWrite];
+      // A single append per product keeps the file made of complete rows
+      fs.appendFileSync(csvFilePath, csvStringifier.stringifyRecords(records));
+      writtenRecordCount += records.length;
+      finishedRecords[nextProductToWrite] = null;
+      nextProductToWrite++;
+    }
+  };
   
   try {
-    // Get the products from the leaderboard page
-    const products = await getProductsFromLeaderboard(browser, config);
+    // Get the products from the leaderboard page, or from a topic archive for topic URLs
+    const sourceName = runInfo.topic ? 'topic' : 'leaderboard';
+    const products = runInfo.topic
+      ? await getProductsFromTopic(browser, config.targetUrl, config)
+      : await getProductsFromLeaderboard(browser, config);
     
     if (products.length === 0) {
-      console.log('No products found on the leaderboard page.');
+      console.log(`No products found on the ${sourceName} page.`);
+      if (store) {
+        finishRun(store, checkpoint.runId, 'completed');
+        store.close();
+      }
       return;
     }
     
-    console.log(`Found ${products.length} products on the leaderboard page`);
+    console.log(`Found ${products.length} products on the ${sourceName} page`);
     
     // Limit to max products
     const productsToProcess = products.slice(0, config.maxProducts);
     console.log(`Processing ${productsToProcess.length} products...`);
     
-    // Process each product
-    for (let i = 0; i < productsToProcess.length; i++) {
-      const product = productsToProcess[i];
+    // Each product holds its own page plus at most one nested page (redirect,
+    // website or profile), so two slots per worker can never deadlock
+    const concurrency = Math.max(1, config.concurrency);
+    const pagePool = createPagePool(browser, concurrency * 2);
+    const hostsSeen = new Set();
+    
+    // Process a single product into its CSV records
+    const processProduct = async (product, i) => {
+      // Skip products an interrupted run already completed
+      if (checkpoint.completed[product.url]) {
+        console.log(`Skipping product ${i + 1}/${productsToProcess.length}: ${product.name} (completed before resume)`);
+        return checkpoint.completed[product.url];
+      }
+      
+      const host = new URL(product.url).hostname;
+      
+      // Use adaptive delay between products on the same host
+      if (hostsSeen.has(host)) {
+        await adaptiveDelay(host);
+      }
+      hostsSeen.add(host);
+      
       console.log(`Processing product ${i + 1}/${productsToProcess.length}: ${product.name}`);
+      const records = [];
       
       try {
-        // Get product details
-        const productDetails = await getProductDetails(browser, product.url, config);
+        // Details come from the launch page, which holds this launch's comments
+        const productDetails = await getProductDetails(pagePool, product.launchUrl || product.url, config);
         
         // Process makers (limited to maxMakersPerProduct)
         const limitedMakers = productDetails.makers.slice(0, config.maxMakersPerProduct);
         console.log(`Using ${limitedMakers.length} out of ${productDetails.makers.length} makers for product`);
         
-        if (limitedMakers.length > 0) {
-          // For each maker, create an entry in the CSV
-          for (const maker of limitedMakers) {
-            const productData = {
-              productName: product.name,
-              productUrl: product.url,
-              productWebsite: productDetails.productWebsite || '',
-              makerName: maker.name || '',
-              makerUrl: maker.url || '',
-              email: maker.email || '',
-              xId: maker.xId || '',
-              linkedinUrl: maker.linkedinUrl || '',
-              websiteEmail: productDetails.websiteContactInfo.email || '',
-              websiteTwitter: productDetails.websiteContactInfo.twitter || '',
-              websiteLinkedin: productDetails.websiteContactInfo.linkedin || '',
-              websiteContactPage: productDetails.websiteContactInfo.website || '',
-              extractedDate: extractedDate
-            };
-            
-            // Add to the array
-            allProductData.push(productData);
-          }
-        } else {
-          // If no makers found, still add the product with empty maker info
-          const productData = {
-            productName: product.name,
-            productUrl: product.url,
-            productWebsite: productDetails.productWebsite || '',
-            makerName: '',
-            makerUrl: '',
-            email: '',
-            xId: '',
-            linkedinUrl: '',
-            websiteEmail: productDetails.websiteContactInfo.email || '',
-            websiteTwitter: productDetails.websiteContactInfo.twitter || '',
-            websiteLinkedin: productDetails.websiteContactInfo.linkedin || '',
-            websiteContactPage: productDetails.websiteContactInfo.website || '',
-            extractedDate: extractedDate
-          };
-          
-          // Add to the array
-          allProductData.push(productData);
+        // Makers come first; commenters follow as a second tier of leads
+        const people = [
+          ...limitedMakers,
+          ...(productDetails.commenters || []).map(commenter => ({ ...commenter, role: 'commenter' }))
+        ];
+        records.push(...createProductRecords(product, productDetails, people, runInfo));
+        
+        // Save the normalized result to the SQLite store
+        if (store) {
+          saveProductResult(store, checkpoint.runId, i, product, productDetails, people, runInfo);
+        }
+        
+        // Persist progress; failed products are left out so a resume retries them
+        if (!productDetails.error) {
+          saveCompletedProduct(checkpoint, product.url, records);
         }
       } catch (error) {
         console.error(`Error processing product ${product.name}: ${error.message}`);
         
         // Track failed requests for adaptive delay
-        requestStats.failedRequests++;
+        getRequestStats(host).failedRequests++;
         
         // Still add the product with error info
-        const productData = {
-          productName: product.name,
-          productUrl: product.url,
-          productWebsite: '',
-          makerName: '',
-          makerUrl: '',
-          email: '',
-          xId: '',
-          linkedinUrl: '',
-          websiteEmail: '',
-          websiteTwitter: '',
-          websiteLinkedin: '',
-          websiteContactPage: '',
-          extractedDate: extractedDate
-        };
-        
-        // Add to the array
-        allProductData.push(productData);
+        records.push(...createProductRecords(product, null, [], runInfo));
       }
       
-      // Use adaptive delay between products
-      if (i < productsToProcess.length - 1) {
-        await adaptiveDelay();
-      }
-    }
+      return records;
+    };
+    
+    // Process products concurrently; rows are streamed to the CSV in leaderboard order
+    const productRecords = await mapWithConcurrency(productsToProcess, concurrency, async (product, i) => {
+      const records = await processProduct(product, i);
+      finishedRecords[i] = records;
+      writeFinishedRecords();
+      return records;
+    });
+    
+    console.log(`Wrote ${writtenRecordCount} entries for ${productRecords.length} products to CSV`);
+    
+    // The output is final, so the checkpoint is no longer needed
+    removeCheckpoint(checkpoint);
     
-    // Write to CSV
-    console.log(`Writing ${allProductData.length} entries to CSV...`);
-    await csvWriter.writeRecords(allProductData);
+    if (store) {
+      finishRun(store, checkpoint.runId, 'completed');
+      store.close();
+    }
     
     console.log(`Scraping completed. CSV saved to ${csvFilePath}`);
     
   } catch (error) {
     console.error(`Error during scraping: ${error.message}`);
+    
+    if (store) {
+      finishRun(store, checkpoint.runId, 'failed');
+      store.close();
+    }
     throw error;
   }
 }
 
+// Function to scroll a page until lazy-loaded content stops appearing
+async function scrollToLoadAll(page, maxScrolls = 50) {
+  console.log('Scrolling to load all products...');
+  
+  let lastHeight = await page.evaluate('document.body.scrollHeight');
+  let scrollCount = 0;
+  
+  while (scrollCount < maxScrolls) {
+    // Scroll to the bottom of the page
+    await page.evaluate('window.scrollTo(0, document.body.scrollHeight)');
+    
+    // Wait for any lazy-loaded content to appear
+    await delay(2000);
+    
+    // Get new scroll height
+    const newHeight = await page.evaluate('document.body.scrollHeight');
+    
+    // Log progress
+    scrollCount++;
+    console.log(`Scroll #${scrollCount} - Height: ${newHeight}px`);
+    
+    // If the height didn't change, we've probably reached the bottom
+    if (newHeight === lastHeight) {
+      console.log('Reached the bottom of the page or no more content is loading');
+      // Scroll one more time to be sure
+      if (scrollCount >= 3) {
+        break;
+      }
+    }
+    
+    lastHeight = newHeight;
+  }
+  
+  console.log(`Completed ${scrollCount} scrolls to load all products`);
+  return scrollCount;
+}
+
+// Function to extract product cards ({name, url, rank, upvotes, ...}) from a loaded listing page
+function extractProductCards($) {
+  console.log('Looking for product elements on the fully loaded page...');
+  
+  // Array to store products
+  const products = [];
+  
+  // Try different selectors to find products
+  const productElements = $('a[href^="/products/"]');
+  console.log(`Found ${productElements.length} product elements after scrolling`);
+  
+  productElements.each((index, element) => {
+    try {
+      // Extract product info
+      const productUrl = $(element).attr('href');
+      let productName = $(element).text().trim();
+      
+      // If the text is empty, try to find a child element with the name
+      if (!productName) {
+        const nameElement = $(element).find('h3, h4, div[class*="name"], div[class*="title"]').first();
+        if (nameElement.length > 0) {
+          productName = nameElement.text().trim();
+        }
+      }
+      
+      // Card titles are often prefixed with the leaderboard position, e.g. "3. Acme"
+      const rankMatch = productName.match(/^(\d+)\.\s+(.+)$/);
+      if (rankMatch) {
+        productName = rankMatch[2].trim();
+      }
+      
+      // Only add if we have a URL and name; sub-page links collapse onto the product
+      const productInfo = parseProductHuntUrl(productUrl);
+      if (productInfo && productName && !products.some(p => p.url === productInfo.url)) {
+        const cardDetails = extractProductCardDetails($, element, productName);
+        products.push({
+          name: productName,
+          url: productInfo.url,
+          launchUrl: productInfo.url,
+          ...cardDetails,
+          rank: rankMatch ? parseInt(rankMatch[1], 10) : ''
+        });
+      }
+    } catch (error) {
+      console.error(`Error extracting product info: ${error.message}`);
+    }
+  });
+  
+  return products;
+}
+
 // Function to get products from the leaderboard page
 async function getProductsFromLeaderboard(browser, config) {
   console.log('Extracting products from leaderboard page...');
   
   // Create a new page
   const page = await browser.newPage();
+  await preparePage(page);
   
   // Set user agent to avoid detection
   await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36');
   
   try {
     // Navigate to the leaderboard page
-    await page.goto(config.targetUrl, {
+    const response = await page.goto(config.targetUrl, {
       waitUntil: 'domcontentloaded',
       timeout: 60000
     });
@@ -255,86 +407,24 @@ async function getProductsFromLeaderboard(browser, config) {
     await delay(3000);
     
     // Scroll down multiple times to load all lazy-loaded products
-    console.log('Scrolling to load all products...');
-    
-    let lastHeight = await page.evaluate('document.body.scrollHeight');
-    let scrollCount = 0;
-    const maxScrolls = 50; // Set a reasonable limit to prevent infinite scrolling
-    
-    while (scrollCount < maxScrolls) {
-      // Scroll to the bottom of the page
-      await page.evaluate('window.scrollTo(0, document.body.scrollHeight)');
-      
-      // Wait for any lazy-loaded content to appear
-      await delay(2000);
-      
-      // Get new scroll height
-      const newHeight = await page.evaluate('document.body.scrollHeight');
-      
-      // Log progress
-      scrollCount++;
-      console.log(`Scroll #${scrollCount} - Height: ${newHeight}px`);
-      
-      // If the height didn't change, we've probably reached the bottom
-      if (newHeight === lastHeight) {
-        console.log('Reached the bottom of the page or no more content is loading');
-        // Scroll one more time to be sure
-        if (scrollCount >= 3) {
-          break;
-        }
-      }
-      
-      lastHeight = newHeight;
-    }
+    await scrollToLoadAll(page);
     
-    console.log(`Completed ${scrollCount} scrolls to load all products`);
+    // Save the fully loaded page in record mode
+    await capturePage(page, config.targetUrl, response);
     
     // Get the HTML content
     const content = await page.content();
     const $ = cheerio.load(content);
     
     // Find product elements
-    console.log('Looking for product elements on the fully loaded page...');
-    
-    // Array to store products
-    const products = [];
-    
-    // Try different selectors to find products
-    const productElements = $('a[href^="/products/"]');
-    console.log(`Found ${productElements.length} product elements after scrolling`);
-    
-    productElements.each((index, element) => {
-      try {
-        // Extract product info
-        const productUrl = $(element).attr('href');
-        let productName = $(element).text().trim();
-        
-        // If the text is empty, try to find a child element with the name
-        if (!productName) {
-          const nameElement = $(element).find('h3, h4, div[class*="name"], div[class*="title"]').first();
-          if (nameElement.length > 0) {
-            productName = nameElement.text().trim();
-          }
-        }
-        
-        // Only add if we have a URL and name
-        if (productUrl && productName && !products.some(p => p.url === `https://www.producthunt.com${productUrl}`)) {
-          products.push({
-            name: productName,
-            url: `https://www.producthunt.com${productUrl}`
-          });
-        }
-      } catch (error) {
-        console.error(`Error extracting product info: ${error.message}`);
-      }
-    });
+    const products = extractProductCards($);
     
     // Filter out duplicates and invalid entries
     const uniqueProducts = [];
     const seenUrls = new Set();
     
     for (const product of products) {
-      // Verify it looks like a product URL (contains /posts/) and not just any link
+      // Verify it looks like a product URL and not just any link
       if (product.url.includes('/products/') && !seenUrls.has(product.url)) {
         seenUrls.add(product.url);
         uniqueProducts.push(product);
@@ -343,49 +433,231 @@ async function getProductsFromLeaderboard(browser, config) {
     
     console.log(`Found ${uniqueProducts.length} unique products after filtering`);
     
-    // If we still don't have many products, try a more generic approach
-    if (uniqueProducts.length < 20) {
-      console.log('Found fewer products than expected, trying a more direct approach...');
+    // Launches are also linked as /posts/, sometimes as a card's only link, so collect
+    // them on every page and resolve them to their products below
+    const productLinks = await page.evaluate(() => {
+      const links = Array.from(document.querySelectorAll('a[href*="/posts/"]'));
+      return links.map(link => {
+        // Try to find the product name
+        let name = '';
+        
+        // Look for heading elements inside or near the link
+        const heading = link.querySelector('h3, h4, h5') || 
+                        link.parentElement.querySelector('h3, h4, h5');
+        
+        if (heading) {
+          name = heading.textContent.trim();
+        } else {
+          // If no heading, use the link text
+          name = link.textContent.trim();
+        }
+        
+        return {
+          name: name,
+          url: link.href
+        };
+      }).filter(product => product.name && product.url);
+    });
+    
+    // Add the launches to uniqueProducts; card details are not available for these links
+    for (const product of productLinks) {
+      const postInfo = parseProductHuntUrl(product.url);
+      if (postInfo && postInfo.type === 'post' && !seenUrls.has(postInfo.url)) {
+        seenUrls.add(postInfo.url);
+        uniqueProducts.push({
+          name: product.name,
+          url: postInfo.url,
+          launchUrl: postInfo.url,
+          rank: '',
+          upvotes: '',
+          tagline: '',
+          commentCount: '',
+          topics: []
+        });
+      }
+    }
+    
+    console.log(`Found ${uniqueProducts.length} product and launch entries including /posts/ links`);
+    
+    // A post is one launch of a product that may already be listed under /products/
+    const resolvedProducts = await resolveLaunchProducts(browser, uniqueProducts, config);
+    uniqueProducts.splice(0, uniqueProducts.length, ...resolvedProducts);
+    console.log(`${uniqueProducts.length} unique products after resolving posts to their products`);
+    
+    // Fall back to the order on the page when the card did not show a rank
+    uniqueProducts.forEach((product, index) => {
+      if (!product.rank) {
+        product.rank = index + 1;
+      }
+    });
+    
+    return uniqueProducts;
+  } catch (error) {
+    console.error(`Error in getProductsFromLeaderboard: ${error.message}`);
+    throw error;
+  } finally {
+    // Close the page
+    await page.close();
+  }
+}
+
+// Function to find the product a /posts/ launch belongs to
+async function resolvePostProduct(browser, postUrl) {
+  const page = await browser.newPage();
+  await preparePage(page);
+  await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36');
+  
+  try {
+    const response = await page.goto(postUrl, {
+      waitUntil: 'domcontentloaded',
+      timeout: 60000
+    });
+    await delay(2000);
+    await capturePage(page, postUrl, response);
+    
+    // Posts usually redirect to their product; otherwise the canonical link or
+    // the first product link on the launch page points to it
+    const candidateUrls = await page.evaluate(() => {
+      const canonical = document.querySelector('link[rel="canonical"]');
+      const productLink = document.querySelector('a[href^="/products/"], a[href^="https://www.producthunt.com/products/"]');
+      return [
+        window.location.href,
+        canonical ? canonical.href : '',
+        productLink ? productLink.href : ''
+      ];
+    });
+    
+    for (const candidateUrl of candidateUrls) {
+      const info = parseProductHuntUrl(candidateUrl);
+      if (info && info.type === 'product') {
+        return info.url;
+      }
+    }
+    
+    return '';
+  } catch (error) {
+    console.error(`Error resolving post ${postUrl}: ${error.message}`);
+    return '';
+  } finally {
+    await page.close();
+  }
+}
+
+// Function to resolve /posts/ launches to their products and merge entries for the
+// same product, so one launch never yields two sets of rows. Each entry keeps the
+// product URL as its identity and the launch URL it was found under.
+async function resolveLaunchProducts(browser, products, config) {
+  const productsByUrl = new Map();
+  
+  for (const product of products) {
+    // No need to resolve more launches than will be processed
+    if (productsByUrl.size >= config.maxProducts) {
+      break;
+    }
+    
+    const entity = { ...product };
+    if (parseProductHuntUrl(entity.url).type === 'post') {
+      const productUrl = await resolvePostProduct(browser, entity.launchUrl);
+      if (productUrl) {
+        console.log(`Resolved post ${entity.launchUrl} to product ${productUrl}`);
+        entity.url = productUrl;
+      }
+      await delay(randomDelay(config.delayBetweenRequests));
+    }
+    
+    const existing = productsByUrl.get(entity.url);
+    if (!existing) {
+      productsByUrl.set(entity.url, entity);
+      continue;
+    }
+    
+    // Keep the first entry, filling card details it is missing from the duplicate
+    console.log(`Merging duplicate launch ${entity.launchUrl} into ${existing.launchUrl}`);
+    for (const field of ['rank', 'upvotes', 'tagline', 'commentCount']) {
+      if (existing[field] === '' && entity[field] !== '') {
+        existing[field] = entity[field];
+      }
+    }
+    if (existing.topics.length === 0) {
+      existing.topics = entity.topics;
+    }
+  }
+  
+  return Array.from(productsByUrl.values());
+}
+
+// Function to get products from a topic page (e.g. /topics/developer-tools), paging through its archive
+async function getProductsFromTopic(browser, topicUrl, config) {
+  console.log(`Extracting products from topic page: ${topicUrl}`);
+  
+  // Create a new page
+  const page = await browser.newPage();
+  await preparePage(page);
+  
+  // Set user agent to avoid detection
+  await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36');
+  
+  const topicProducts = [];
+  const seenUrls = new Set();
+  
+  try {
+    for (let pageNumber = 1; pageNumber <= config.maxTopicPages; pageNumber++) {
+      const pageUrl = new URL(topicUrl);
+      if (pageNumber > 1) {
+        pageUrl.searchParams.set('page', String(pageNumber));
+      }
       
-      // Use page.evaluate to find products
-      const productLinks = await page.evaluate(() => {
-        const links = Array.from(document.querySelectorAll('a[href*="/posts/"]'));
-        return links.map(link => {
-          // Try to find the product name
-          let name = '';
-          
-          // Look for heading elements inside or near the link
-          const heading = link.querySelector('h3, h4, h5') || 
-                          link.parentElement.querySelector('h3, h4, h5');
-          
-          if (heading) {
-            name = heading.textContent.trim();
-          } else {
-            // If no heading, use the link text
-            name = link.textContent.trim();
-          }
-          
-          return {
-            name: name,
-            url: link.href
-          };
-        }).filter(product => product.name && product.url);
+      // Navigate to this page of the topic archive
+      const response = await page.goto(pageUrl.href, {
+        waitUntil: 'domcontentloaded',
+        timeout: 60000
       });
       
-      // Add to uniqueProducts array
-      for (const product of productLinks) {
-        if (!seenUrls.has(product.url) && product.url.includes('/posts/')) {
+      console.log(`Loaded topic page ${pageNumber}: ${pageUrl.href}`);
+      
+      // Wait for the page to fully load
+      await delay(3000);
+      
+      // Scroll down multiple times to load all lazy-loaded products
+      await scrollToLoadAll(page);
+      
+      // Save the fully loaded page in record mode
+      await capturePage(page, pageUrl.href, response);
+      
+      // Get the HTML content
+      const content = await page.content();
+      const $ = cheerio.load(content);
+      
+      // Keep only products we haven't seen on an earlier page
+      let newProducts = 0;
+      for (const product of extractProductCards($)) {
+        if (!seenUrls.has(product.url)) {
           seenUrls.add(product.url);
-          uniqueProducts.push(product);
+          // Rank is the position within the topic archive
+          topicProducts.push({ ...product, rank: topicProducts.length + 1 });
+          newProducts++;
         }
       }
       
-      console.log(`Found ${uniqueProducts.length} unique products after additional search`);
+      console.log(`Found ${newProducts} new products on topic page ${pageNumber} (${topicProducts.length} total)`);
+      
+      // Stop when the archive is exhausted or we already have enough products
+      if (newProducts === 0 || topicProducts.length >= config.maxProducts) {
+        break;
+      }
+      
+      // Wait between archive pages
+      await delay(randomDelay(config.delayBetweenRequests));
     }
     
-    return uniqueProducts;
+    return topicProducts;
   } catch (error) {
-    console.error(`Error in getProductsFromLeaderboard: ${error.message}`);
+    console.error(`Error in getProductsFromTopic: ${error.message}`);
+    
+    // Keep whatever earlier archive pages produced
+    if (topicProducts.length > 0) {
+      return topicProducts;
+    }
     throw error;
   } finally {
     // Close the page
@@ -393,10 +665,67 @@ async function getProductsFromLeaderboard(browser, config) {
   }
 }
 
+// Function to extract the details shown on a leaderboard card around a product link
+function extractProductCardDetails($, linkElement, productName) {
+  const cardDetails = {
+    upvotes: '',
+    tagline: '',
+    commentCount: '',
+    topics: []
+  };
+  
+  // Walk up to the card that holds this product link
+  const card = $(linkElement).closest('[data-test^="post-item"], section, article, li');
+  if (card.length === 0) {
+    return cardDetails;
+  }
+  
+  // Vote and comment counts are shown as numeric buttons on the card
+  const voteButton = card.find('[data-test="vote-button"], button[class*="vote"]').first();
+  if (voteButton.length > 0) {
+    cardDetails.upvotes = parseCount(voteButton.text());
+  }
+  
+  const countButtons = card.find('button').filter((_, button) => /^\s*[\d,.]+[kKmM]?\s*$/.test($(button).text()));
+  if (countButtons.length > 0) {
+    if (cardDetails.upvotes === '') {
+      // The vote button is the last count on the card
+      cardDetails.upvotes = parseCount(countButtons.last().text());
+    }
+    if (countButtons.length > 1) {
+      cardDetails.commentCount = parseCount(countButtons.first().text());
+    }
+  }
+  
+  // Tagline: an explicit tagline element, otherwise the first product link text that isn't the name
+  const taglineElement = card.find('[data-test*="tagline"], [class*="tagline"]').first();
+  if (taglineElement.length > 0) {
+    cardDetails.tagline = cleanText(taglineElement.text());
+  } else {
+    card.find('a[href^="/products/"]').each((_, link) => {
+      const text = cleanText($(link).text()).replace(/^\d+\.\s+/, '');
+      if (!cardDetails.tagline && text && text !== productName) {
+        cardDetails.tagline = text;
+      }
+    });
+  }
+  
+  // Topic tags link to topic pages
+  card.find('a[href^="/topics/"]').each((_, link) => {
+    const topic = cleanText($(link).text());
+    if (topic && !cardDetails.topics.includes(topic)) {
+      cardDetails.topics.push(topic);
+    }
+  });
+  
+  return cardDetails;
+}
+
 // Function to get detailed product information
 async function getProductDetails(browser, productUrl, config) {
   // Create a new page for this product
   const page = await browser.newPage();
+  await preparePage(page);
   
   // Set user agent to avoid detection
   await page.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36');
@@ -422,7 +751,7 @@ async function getProductDetails(browser, productUrl, config) {
     const startTime = Date.now();
     
     // Navigate to the product page
-    await page.goto(productUrl, {
+    const response = await page.goto(productUrl, {
       waitUntil: 'domcontentloaded',
       timeout: 60000
     });
@@ -435,6 +764,9 @@ async function getProductDetails(browser, productUrl, config) {
     // Wait for the page to fully load
     await delay(3000);
     
+    // Save the loaded page in record mode
+    await capturePage(page, productUrl, response);
+    
     // Get the HTML content
     const content = await page.content();
     const $ = cheerio.load(content);
@@ -442,289 +774,39 @@ async function getProductDetails(browser, productUrl, config) {
     // Initialize product details
     const productDetails = {
       productWebsite: '',
+      websiteDomain: '',
+      redirectChain: [],
+      websiteStrategy: '',
+      websiteConfidence: '',
+      websiteCandidates: [],
       makers: [],
+      otherTeamMembers: [],
+      comments: [],
+      commenters: [],
       websiteContactInfo: {
         email: '',
         twitter: '',
         linkedin: '',
-        website: ''
+        website: '',
+        phone: '',
+        address: '',
+        country: ''
       }
     };
     
-    // Extract product website URL - try multiple approaches
+    // Extract product website URL through the registered resolvers
     console.log('Looking for product website URL...');
-    
-    // First approach: Try to find the website URL using the "Visit" button
-    let websiteUrl = await page.evaluate(() => {
-      // Look for buttons with "Visit" text
-      const visitButtons = Array.from(document.querySelectorAll('a, button')).filter(el => {
-        const text = el.textContent.toLowerCase().trim();
-        return (text === 'visit' || 
-                text === 'visit website' || 
-                text === 'website' || 
-                text.includes('visit site') ||
-                text.includes('view site') ||
-                text.includes('open site') ||
-                text.includes('go to site')) && 
-               el.href && 
-               el.href.startsWith('http') &&
-               !el.href.includes('producthunt.com/r/') &&
-               !el.href.includes('lu.ma/producthunt');
-      });
-      
-      if (visitButtons.length > 0) {
-        return visitButtons[0].href;
-      }
-      
-      return '';
-    });
-    
-    if (websiteUrl) {
-      console.log(`Found website URL from visit button: ${websiteUrl}`);
-    }
-    
-    // Second approach: Try to find the website URL using redirect links
-    if (!websiteUrl) {
-      const redirectLinks = $('a[href^="https://www.producthunt.com/r/"]');
-      
-      if (redirectLinks.length > 0) {
-        const redirectUrl = redirectLinks.first().attr('href');
-        console.log(`Found redirect URL: ${redirectUrl}`);
-        
-        try {
-          // Follow the redirect
-          const redirectPage = await browser.newPage();
-          await redirectPage.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36');
-          
-          // Navigate to the redirect URL
-          const response = await redirectPage.goto(redirectUrl, { 
-            waitUntil: 'domcontentloaded', 
-            timeout: 30000 
-          });
-          
-          // Get the final URL after redirect
-          const finalUrl = response.url();
-          
-          // Check if the final URL is not a Product Hunt page and not the generic lu.ma page
-          if (!finalUrl.includes('producthunt.com') && 
-              !finalUrl.includes('lu.ma/producthunt')) {
-            websiteUrl = finalUrl;
-            console.log(`Redirect resolved to: ${websiteUrl}`);
-          } else {
-            console.log(`Redirect resolved to internal/generic URL: ${finalUrl}, ignoring`);
-          }
-          
-          // Close the redirect page
-          await redirectPage.close();
-        } catch (error) {
-          console.log(`Error following redirect: ${error.message}`);
-        }
-      }
-    }
-    
-    // Third approach: Try to find the website URL using "Get it" button
-    if (!websiteUrl) {
-      console.log('Trying to find "Get it" button...');
-      
-      websiteUrl = await page.evaluate(() => {
-        // Look for "Get it" buttons
-        const getItButtons = Array.from(document.querySelectorAll('a, button')).filter(el => {
-          const text = el.textContent.toLowerCase().trim();
-          return (text === 'get it' || 
-                  text === 'get' ||
-                  text === 'try' ||
-                  text === 'try it' ||
-                  text === 'try it free' ||
-                  text === 'try for free' ||
-                  text === 'download' || 
-                  text === 'download now' ||
-                  text === 'install' ||
-                  text === 'install now' ||
-                  text === 'sign up' ||
-                  text === 'signup' ||
-                  text === 'join' ||
-                  text === 'join now' ||
-                  text === 'launch' ||
-                  text === 'launch app' ||
-                  text.includes('download') || 
-                  text.includes('try it') ||
-                  text.includes('get it') ||
-                  text.includes('sign up') ||
-                  text.includes('install')) && 
-                 el.href && 
-                 el.href.startsWith('http') &&
-                 !el.href.includes('producthunt.com') &&
-                 !el.href.includes('lu.ma/producthunt');
-        });
-        
-        if (getItButtons.length > 0) {
-          return getItButtons[0].href;
-        }
-        
-        return '';
-      });
-      
-      if (websiteUrl) {
-        console.log(`Found website URL from "Get it" button: ${websiteUrl}`);
-      }
-    }
-    
-    // Fourth approach: Try to find any external link that's not a social media link
-    if (!websiteUrl) {
-      console.log('Looking for any external link...');
-      
-      websiteUrl = await page.evaluate(() => {
-        // Get all external links
-        const externalLinks = Array.from(document.querySelectorAll('a[href^="http"]')).filter(a => {
-          const href = a.href.toLowerCase();
-          // Exclude common social media and generic sites
-          return !href.includes('producthunt.com') && 
-                 !href.includes('lu.ma/producthunt') &&
-                 !href.includes('twitter.com') && 
-                 !href.includes('x.com') && 
-                 !href.includes('linkedin.com') && 
-                 !href.includes('facebook.com') && 
-                 !href.includes('instagram.com') &&
-                 !href.includes('youtube.com/channel/') &&  // Exclude generic YouTube channels
-                 !href.includes('youtube.com/user/') &&     // Exclude generic YouTube users
-                 !href.includes('github.com/') &&           // Exclude generic GitHub links
-                 !href.includes('medium.com/') &&           // Exclude generic Medium links
-                 !href.includes('discord.gg/') &&           // Exclude generic Discord links
-                 !href.includes('t.me/');                   // Exclude generic Telegram links
-        });
-        
-        // Sort links by length (shorter URLs are often the main domain)
-        externalLinks.sort((a, b) => a.href.length - b.href.length);
-        
-        if (externalLinks.length > 0) {
-          return externalLinks[0].href;
-        }
-        
-        return '';
-      });
-      
-      if (websiteUrl) {
-        console.log(`Found external link: ${websiteUrl}`);
-      }
-    }
-    
-    // Fifth approach: Look for specific patterns in the page content
-    if (!websiteUrl) {
-      console.log('Looking for website URL in page content...');
-      
-      websiteUrl = await page.evaluate(() => {
-        // Look for text that might contain a website URL
-        const pageText = document.body.innerText;
-        
-        // Common patterns for website mentions
-        const patterns = [
-          /visit us at\s+([a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/i,
-          /website\s*:\s*(https?:\/\/[^\s,]+)/i,
-          /available at\s+(https?:\/\/[^\s,]+)/i,
-          /check out\s+(https?:\/\/[^\s,]+)/i,
-          /official site\s*:\s*(https?:\/\/[^\s,]+)/i,
-          /homepage\s*:\s*(https?:\/\/[^\s,]+)/i,
-          /website\s*:\s*([a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/i,
-          // Replace overly broad patterns with more specific ones
-          /\b((?:https?:\/\/)?[a-zA-Z0-9][a-zA-Z0-9-]*\.ai(?:\/[^\s,]*)?)\b/i,  // More precise .ai domain pattern
-          /\b((?:https?:\/\/)?[a-zA-Z0-9][a-zA-Z0-9-]*\.app(?:\/[^\s,]*)?)\b/i, // More precise .app domain pattern
-          /\b((?:https?:\/\/)?[a-zA-Z0-9][a-zA-Z0-9-]*\.dev(?:\/[^\s,]*)?)\b/i  // More precise .dev domain pattern
-        ];
-        
-        // Try each pattern
-        for (const pattern of patterns) {
-          const match = pageText.match(pattern);
-          if (match && match[1]) {
-            let url = match[1];
-            
-            // Add https:// if it's missing
-            if (!url.startsWith('http')) {
-              url = 'https://' + url;
-            }
-            
-            return url;
-          }
-        }
-        
-        return '';
-      });
-      
-      if (websiteUrl) {
-        console.log(`Found website URL in page content: ${websiteUrl}`);
-        
-        // Add validation to ensure we're not incorrectly identifying Bebop.ai
-        if (websiteUrl.toLowerCase().includes('bebop.ai')) {
-          console.log('WARNING: Bebop.ai detected as product website - likely a false positive');
-          
-          // Check if this appears to be an advertisement or unrelated content
-          const isBebopRealWebsite = await page.evaluate(() => {
-            // Count number of mentions of Bebop.ai in the page
-            const pageText = document.body.innerText.toLowerCase();
-            const bebopCount = (pageText.match(/bebop\.ai/g) || []).length;
-            
-            // If only mentioned once or twice, likely not the real website
-            if (bebopCount < 3) return false;
-            
-            // Check if there's a prominent/header link to Bebop.ai
-            const bebopLinks = Array.from(document.querySelectorAll('a[href*="bebop.ai"]'));
-            const headerBebopLink = bebopLinks.some(link => {
-              const rect = link.getBoundingClientRect();
-              return rect.top < 300; // In the header area
-            });
-            
-            return headerBebopLink || bebopCount > 5;
-          });
-          
-          if (!isBebopRealWebsite) {
-            console.log('Rejecting Bebop.ai as likely false positive');
-            websiteUrl = ''; // Reset to try other methods
-          }
-        }
-      }
-    }
-    
-    // Sixth approach: Extract domain from maker's email
-    if (!websiteUrl) {
-      console.log('Looking for website URL from maker emails...');
-      
-      // Get all maker emails
-      const makerEmails = [];
-      
-      // Use page.evaluate to find emails in the page
-      const pageEmails = await page.evaluate(() => {
-        const emailRegex = /([a-zA-Z0-9._-]+@[a-zA-Z0-9._-]+\.[a-zA-Z0-9._-]+)/gi;
-        const pageText = document.body.innerText;
-        return pageText.match(emailRegex) || [];
-      });
-      
-      makerEmails.push(...pageEmails);
-      
-      // Extract domains from emails
-      const domains = makerEmails
-        .map(email => {
-          const match = email.match(/@([a-zA-Z0-9._-]+\.[a-zA-Z0-9._-]+)/i);
-          return match ? match[1] : null;
-        })
-        .filter(domain => domain && 
-          !domain.includes('gmail.com') && 
-          !domain.includes('yahoo.com') && 
-          !domain.includes('hotmail.com') && 
-          !domain.includes('outlook.com') && 
-          !domain.includes('icloud.com') && 
-          !domain.includes('aol.com') && 
-          !domain.includes('protonmail.com') && 
-          !domain.includes('mail.com')
-        );
-      
-      if (domains.length > 0) {
-        websiteUrl = 'https://' + domains[0];
-        console.log(`Found website URL from maker email: ${websiteUrl}`);
-      }
-    }
+    const resolvedWebsite = await resolveProductWebsite({ browser, page, $ });
+    const websiteUrl = resolvedWebsite.url;
+    productDetails.websiteDomain = resolvedWebsite.domain;
+    productDetails.redirectChain = resolvedWebsite.redirectChain;
+    productDetails.websiteStrategy = resolvedWebsite.strategy;
+    productDetails.websiteConfidence = resolvedWebsite.confidence;
+    productDetails.websiteCandidates = resolvedWebsite.candidates;
     
     if (websiteUrl) {
       productDetails.productWebsite = websiteUrl;
-      console.log(`Found product website: ${websiteUrl}`);
+      console.log(`Found product website: ${websiteUrl} (strategy: ${resolvedWebsite.strategy}, confidence: ${resolvedWebsite.confidence})`);
       
       // Extract contact information from the product website
       try {
@@ -743,13 +825,19 @@ async function getProductDetails(browser, productUrl, config) {
               await delay(5000 * retryCount);
             }
             
-            websiteContactInfo = await extractWebsiteContactInfo(browser, websiteUrl);
+            websiteContactInfo = await extractWebsiteContactInfo(browser, websiteUrl, {
+              maxPages: config.crawlMaxPages,
+              maxDepth: config.crawlMaxDepth,
+              timeBudget: config.crawlTimeBudget
+            });
             
             // If we got empty results and have retries left, try again
             if (!websiteContactInfo.email && 
                 !websiteContactInfo.twitter && 
                 !websiteContactInfo.linkedin && 
                 !websiteContactInfo.website && 
+                !websiteContactInfo.phone &&
+                !(websiteContactInfo.contactForms || []).length &&
                 retryCount < maxRetries) {
               websiteContactInfo = null; // Force retry
               retryCount++;
@@ -760,12 +848,12 @@ async function getProductDetails(browser, productUrl, config) {
             
             // If we've used all retries, set empty contact info
             if (retryCount > maxRetries) {
-              websiteContactInfo = { email: '', twitter: '', linkedin: '', website: '' };
+              websiteContactInfo = { email: '', twitter: '', linkedin: '', website: '', phone: '', address: '', country: '' };
             }
           }
         }
         
-        productDetails.websiteContactInfo = websiteContactInfo || { email: '', twitter: '', linkedin: '', website: '' };
+        productDetails.websiteContactInfo = websiteContactInfo || { email: '', twitter: '', linkedin: '', website: '', phone: '', address: '', country: '' };
         console.log(`Website contact info extracted: ${JSON.stringify(productDetails.websiteContactInfo)}`);
       } catch (error) {
         console.error(`Error extracting website contact info: ${error.message}`);
@@ -774,98 +862,88 @@ async function getProductDetails(browser, productUrl, config) {
       console.log('No product website URL found');
     }
     
-    // Find makers section - look for the heading "Meet the team" or similar
-    const teamSection = $('h2:contains("Meet the team"), h3:contains("Meet the team"), div:contains("Meet the team")').first();
+    // Classify the people in the team section as makers, hunters and other team members
+    const teamMembers = classifyProductPeople($);
+    console.log(`Found ${teamMembers.length} team members: ${teamMembers.map(member => `${member.name} (${member.role})`).join(', ') || 'none'}`);
     
-    // Find maker links - either in the team section or general maker links
-    let makerLinks;
-    if (teamSection.length > 0) {
-      // Get the parent container and find maker links inside it
-      const parentContainer = teamSection.parent();
-      makerLinks = parentContainer.find('a[href^="/@"]');
-    } else {
-      // If no team section found, look for maker links throughout the page
-      makerLinks = $('a[href^="/@"]');
+    // Only makers are processed as makers; hunters and other team members are kept apart
+    const makersToProcess = teamMembers.filter(member => member.role === 'maker').slice(0, config.maxMakersPerProduct);
+    productDetails.otherTeamMembers = teamMembers.filter(member => member.role !== 'maker');
+    console.log(`Processing ${makersToProcess.length} makers (limited by config)`);
+    
+    // Process each maker to get their contact information
+    for (const maker of makersToProcess) {
+      try {
+        console.log(`Processing ${maker.role}: ${maker.name}`);
+        
+        // Extract contact information from the member's profile
+        const contactInfo = await extractContactInfo(browser, maker.url);
+        
+        // Add contact info and the rest of the profile to the maker object
+        Object.assign(maker, contactInfo);
+        
+        // Add to product details
+        productDetails.makers.push(maker);
+        
+        // Random delay between processing makers
+        const makerDelayTime = randomDelay(config.delayBetweenRequests / 2);
+        console.log(`Waiting ${makerDelayTime}ms before next maker...`);
+        await delay(makerDelayTime);
+      } catch (error) {
+        console.error(`Error processing maker ${maker.name}: ${error.message}`);
+        continue;
+      }
     }
     
-    if (makerLinks.length > 0) {
-      console.log(`Found ${makerLinks.length} potential makers`);
-      
-      // Extract maker information
-      const makers = [];
-      const processedMakerUrls = new Set(); // To avoid duplicates
-      
-      makerLinks.each((index, element) => {
-        try {
-          const makerUrl = $(element).attr('href');
-          if (makerUrl && makerUrl.startsWith('/@')) {
-            const fullMakerUrl = `https://www.producthunt.com${makerUrl}`;
+    // Give makers the job title and contact details the company's own team page lists for them
+    const websitePeople = productDetails.websiteContactInfo.people || [];
+    if (websitePeople.length > 0) {
+      const matchCount = matchPeopleToMakers(productDetails.makers, websitePeople, productDetails.websiteDomain);
+      console.log(`Matched ${matchCount} of ${productDetails.makers.length} makers to people on the product website`);
+    }
+    
+    // Extract comments and contact the most engaged commenters as a second tier of leads
+    if (!config.skipComments) {
+      try {
+        console.log('Extracting comments...');
+        await loadAllComments(page);
+        
+        // Save the page again so replays include the expanded comment threads
+        await capturePage(page, productUrl, response);
+        
+        // Team members who comment are not second-tier leads
+        const makerUrls = teamMembers.map(member => member.url);
+        productDetails.comments = extractCommentsFromHtml(await page.content(), makerUrls);
+        console.log(`Found ${productDetails.comments.length} comments`);
+        
+        const commentersToProcess = selectCommenters(productDetails.comments, config.maxCommentersPerProduct);
+        console.log(`Processing ${commentersToProcess.length} commenters (limited by config)`);
+        
+        for (const commenter of commentersToProcess) {
+          try {
+            console.log(`Processing commenter: ${commenter.name}`);
             
-            // Check if we've already processed this maker
-            if (!processedMakerUrls.has(fullMakerUrl)) {
-              processedMakerUrls.add(fullMakerUrl);
-              
-              // Look for a maker badge/label near the link
-              const parentEl = $(element).parent();
-              const isMaker = parentEl.find('span:contains("Maker"), div:contains("Maker")').length > 0;
-              
-              // Get the maker name
-              const makerName = $(element).text().trim();
-              
-              // Add to makers array if it's marked as a maker or if we don't have many makers yet
-              if (isMaker || makers.length < config.maxMakersPerProduct) {
-                makers.push({ url: fullMakerUrl, name: makerName, isMaker });
-              }
-            }
+            // Commenters go through the same profile extraction as makers
+            const contactInfo = await extractContactInfo(browser, commenter.url);
+            
+            Object.assign(commenter, contactInfo);
+            productDetails.commenters.push(commenter);
+            
+            // Random delay between processing commenters
+            await delay(randomDelay(config.delayBetweenRequests / 2));
+          } catch (error) {
+            console.error(`Error processing commenter ${commenter.name}: ${error.message}`);
           }
-        } catch (error) {
-          console.error(`Error extracting maker info: ${error.message}`);
-        }
-      });
-      
-      // Sort makers to prioritize confirmed makers first
-      makers.sort((a, b) => {
-        if (a.isMaker && !b.isMaker) return -1;
-        if (!a.isMaker && b.isMaker) return 1;
-        return 0;
-      });
-      
-      // Only process the specified maximum number of makers
-      const makersToProcess = makers.slice(0, config.maxMakersPerProduct);
-      
-      console.log(`Processing ${makersToProcess.length} makers (limited by config)`);
-      
-      // Process each maker to get their contact information
-      for (const maker of makersToProcess) {
-        try {
-          console.log(`Processing maker: ${maker.name}`);
-          
-          // Extract contact information from maker's profile
-          const contactInfo = await extractContactInfo(browser, maker.url);
-          
-          // Add contact info to maker object
-          maker.email = contactInfo.email || '';
-          maker.xId = contactInfo.xId || '';
-          maker.linkedinUrl = contactInfo.linkedinUrl || '';
-          
-          // Add to product details
-          productDetails.makers.push(maker);
-          
-          // Random delay between processing makers
-          const makerDelayTime = randomDelay(config.delayBetweenRequests / 2);
-          console.log(`Waiting ${makerDelayTime}ms before next maker...`);
-          await delay(makerDelayTime);
-        } catch (error) {
-          console.error(`Error processing maker ${maker.name}: ${error.message}`);
-          continue;
         }
+      } catch (error) {
+        console.error(`Error extracting comments: ${error.message}`);
       }
     }
     
     return productDetails;
   } catch (error) {
     console.error(`Error in getProductDetails: ${error.message}`);
-    return { productWebsite: '', makers: [], websiteContactInfo: { email: '', twitter: '', linkedin: '', website: '' } };
+    return { productWebsite: '', makers: [], otherTeamMembers: [], comments: [], commenters: [], websiteContactInfo: { email: '', twitter: '', linkedin: '', website: '', phone: '', address: '', country: '' }, error: error.message };
   } finally {
     // Close the page
     await page.close();
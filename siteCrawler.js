@@ -0,0 +1,223 @@
+// Site Crawler Module
+// Visits a bounded number of pages on a product website, most promising first
+// (contact, imprint, team, about, legal and press pages), so contact details
+// that only appear on e.g. an imprint or privacy page are found too.
+const cheerio = require('cheerio');
+const { delay } = require('./utils');
+const { capturePage } = require('./pageRecorder');
+const { followRedirects, canonicalizeUrl, getRegistrableDomain } = require('./urlResolver');
+
+// Default budgets: pages visited after the homepage, link depth from the
+// homepage and total crawl time in milliseconds
+const DEFAULT_CRAWL_BUDGET = {
+  maxPages: 5,
+  maxDepth: 2,
+  timeBudget: 60000
+};
+
+// Page kinds worth visiting, matched against the URL path and link text, in
+// crawl priority order. Pages matching none of them are never visited.
+const PRIORITY_PAGES = [
+  { kind: 'contact', pattern: /contact|kontakt|get in touch|get-in-touch|reach us/i },
+  { kind: 'imprint', pattern: /imprint|impressum|mentions-legales|legal-notice|legal notice/i },
+  { kind: 'team', pattern: /\bteam\b|\bpeople\b|founders/i },
+  { kind: 'about', pattern: /about|ueber-uns|uber-uns|\bcompany\b/i },
+  { kind: 'privacy', pattern: /privacy|datenschutz|gdpr/i },
+  { kind: 'terms', pattern: /terms|\btos\b|\bagb\b|\blegal\b/i },
+  { kind: 'press', pattern: /\bpress\b|newsroom|media-kit|media kit/i }
+];
+
+// Page kinds whose contact details count as contact page finds
+const CONTACT_PAGE_KINDS = ['contact', 'imprint'];
+
+// Links to files rather than pages
+const FILE_EXTENSION_PATTERN = /\.(pdf|zip|png|jpe?g|gif|svg|webp|mp4|mp3|dmg|exe|apk|xml|json|txt|csv)$/i;
+
+// Sitemaps can list thousands of pages; only this many are considered
+const MAX_SITEMAP_URLS = 500;
+const MAX_CHILD_SITEMAPS = 3;
+
+/**
+ * Classify a page by its URL path and link text
+ * @param {string} url - Page URL
+ * @param {string} linkText - Text of the link pointing at the page
+ * @returns {Object|null} - Page kind and priority ({kind, priority}), or null if the page isn't worth visiting
+ */
+function classifyPage(url, linkText = '') {
+  let path;
+  try {
+    path = decodeURIComponent(new URL(url).pathname);
+  } catch (error) {
+    return null;
+  }
+
+  for (let index = 0; index < PRIORITY_PAGES.length; index++) {
+    const { kind, pattern } = PRIORITY_PAGES[index];
+    if (pattern.test(path) || pattern.test(linkText)) {
+      return { kind, priority: PRIORITY_PAGES.length - index };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the page URLs listed in a site's sitemap.xml, following one level of
+ * sitemap index files
+ * @param {string} websiteUrl - Any URL on the site
+ * @returns {Array} - Page URLs from the sitemap (empty if there is none)
+ */
+async function getSitemapUrls(websiteUrl) {
+  const pageUrls = [];
+
+  const readSitemap = async (sitemapUrl, allowIndex) => {
+    const { status, html } = await followRedirects(sitemapUrl, 5);
+    if (status !== 200 || !html) return;
+
+    const $ = cheerio.load(html, { xmlMode: true });
+    const locations = $('loc').map((_, element) => $(element).text().trim()).get();
+
+    if ($('sitemapindex').length > 0) {
+      if (!allowIndex) return;
+
+      // Page sitemaps are more useful than e.g. blog post or image sitemaps
+      const childSitemaps = locations
+        .sort((a, b) => Number(/page/i.test(b)) - Number(/page/i.test(a)))
+        .slice(0, MAX_CHILD_SITEMAPS);
+      for (const childSitemap of childSitemaps) {
+        await readSitemap(childSitemap, false);
+      }
+      return;
+    }
+
+    pageUrls.push(...locations.slice(0, MAX_SITEMAP_URLS - pageUrls.length));
+  };
+
+  try {
+    await readSitemap(new URL('/sitemap.xml', websiteUrl).href, true);
+  } catch (error) {
+    console.log(`Could not read sitemap for ${websiteUrl}: ${error.message}`);
+  }
+
+  return pageUrls;
+}
+
+/**
+ * Get the links on the current page ({url, text})
+ * @param {Object} page - Puppeteer page object
+ * @returns {Array} - Links on the page
+ */
+async function getPageLinks(page) {
+  const $ = cheerio.load(await page.content());
+  const pageUrl = page.url();
+
+  return $('a[href]').map((_, element) => {
+    try {
+      return { url: new URL($(element).attr('href'), pageUrl).href, text: $(element).text().trim() };
+    } catch (error) {
+      return null;
+    }
+  }).get();
+}
+
+/**
+ * Crawl the priority pages of a website, starting from the page's current
+ * location (the homepage). Every visited page is passed to extractPage.
+ * @param {Object} page - Puppeteer page object, or a plain HTTP stand-in with isHttpPage set, already on the homepage
+ * @param {Function} extractPage - Called as extractPage(page, {url, kind, depth, isContactPage}) for every visited page
+ * @param {Object} budget - Crawl budget
+ * @param {number} budget.maxPages - Maximum number of pages to visit after the homepage
+ * @param {number} budget.maxDepth - Maximum link depth from the homepage
+ * @param {number} budget.timeBudget - Maximum crawl time in milliseconds
+ * @returns {Array} - Visited pages ({url, kind, depth, result}), where result is what extractPage returned
+ */
+async function crawlWebsite(page, extractPage, budget = {}) {
+  // Budget values left undefined fall back to the defaults
+  const { maxPages, maxDepth, timeBudget } = Object.keys(DEFAULT_CRAWL_BUDGET).reduce((resolved, key) => {
+    resolved[key] = Number.isFinite(budget[key]) ? budget[key] : DEFAULT_CRAWL_BUDGET[key];
+    return resolved;
+  }, {});
+  const startTime = Date.now();
+  const homepageUrl = page.url();
+  const siteDomain = getRegistrableDomain(homepageUrl);
+
+  const seen = new Set([canonicalizeUrl(homepageUrl)]);
+  const queue = [];
+  const visitedPages = [];
+  let pagesTried = 0;
+
+  const enqueue = (url, text, depth) => {
+    const canonicalUrl = canonicalizeUrl(url);
+    if (!canonicalUrl || seen.has(canonicalUrl) || FILE_EXTENSION_PATTERN.test(new URL(canonicalUrl).pathname)) return;
+    if (getRegistrableDomain(canonicalUrl) !== siteDomain) return;
+
+    const pageType = classifyPage(canonicalUrl, text);
+    if (!pageType) return;
+
+    seen.add(canonicalUrl);
+    queue.push({ url: canonicalUrl, kind: pageType.kind, priority: pageType.priority, depth });
+  };
+
+  if (maxPages <= 0 || maxDepth <= 0) {
+    return visitedPages;
+  }
+
+  for (const link of await getPageLinks(page)) {
+    enqueue(link.url, link.text, 1);
+  }
+  for (const url of await getSitemapUrls(homepageUrl)) {
+    enqueue(url, '', 1);
+  }
+
+  console.log(`Crawler found ${queue.length} priority pages on ${siteDomain}`);
+
+  // Pages that fail to load count against the budget too
+  while (queue.length > 0 && pagesTried < maxPages) {
+    const remainingTime = timeBudget - (Date.now() - startTime);
+    if (remainingTime <= 0) {
+      console.log(`Crawl time budget of ${timeBudget}ms used up on ${siteDomain}`);
+      break;
+    }
+
+    // Highest priority first, shallower pages first within a priority
+    queue.sort((a, b) => b.priority - a.priority || a.depth - b.depth);
+    const next = queue.shift();
+    pagesTried++;
+
+    try {
+      console.log(`Crawling ${next.kind} page (depth ${next.depth}): ${next.url}`);
+      const response = await page.goto(next.url, { waitUntil: 'domcontentloaded', timeout: Math.min(30000, remainingTime) });
+      // Give a browser page's scripts a moment to render, then save it; plain HTTP pages
+      // are complete as fetched and fetchWithCapture already saved their body
+      if (!page.isHttpPage) {
+        await delay(1000);
+        await capturePage(page, next.url, response);
+      }
+
+      const result = await extractPage(page, {
+        url: next.url,
+        kind: next.kind,
+        depth: next.depth,
+        isContactPage: CONTACT_PAGE_KINDS.includes(next.kind)
+      });
+      visitedPages.push({ url: next.url, kind: next.kind, depth: next.depth, result });
+
+      if (next.depth < maxDepth) {
+        for (const link of await getPageLinks(page)) {
+          enqueue(link.url, link.text, next.depth + 1);
+        }
+      }
+    } catch (error) {
+      console.log(`Error crawling ${next.url}: ${error.message}`);
+    }
+  }
+
+  return visitedPages;
+}
+
+module.exports = {
+  DEFAULT_CRAWL_BUDGET,
+  classifyPage,
+  getSitemapUrls,
+  crawlWebsite
+};
@@ -0,0 +1,392 @@
+// SQLite Store Module
+// Normalized local storage for scrape results: one row per launch, product and
+// maker instead of one flat CSV row per maker. The legacy CSV can be
+// regenerated from it with: node sqliteStore.js export-csv <run-id> [output.csv]
+//
+// Example cross-day query, makers who launched at least twice this year:
+//   SELECT makers.name, makers.url, COUNT(DISTINCT launches.product_id) AS launches
+//   FROM product_makers
+//   JOIN makers ON makers.id = product_makers.maker_id
+//   JOIN launches ON launches.id = product_makers.launch_id
+//   WHERE product_makers.role = 'maker' AND launches.launch_date LIKE '2025-%'
+//   GROUP BY makers.id HAVING launches >= 2;
+const fs = require('fs');
+const path = require('path');
+const { createObjectCsvStringifier } = require('csv-writer');
+const { CSV_HEADER, createProductRecords } = require('./productRecord');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    target_url TEXT NOT NULL,
+    extracted_date TEXT,
+    leaderboard_period TEXT,
+    topic TEXT,
+    csv_file_path TEXT,
+    status TEXT NOT NULL DEFAULT 'running',
+    started_at TEXT NOT NULL,
+    finished_at TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS products (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    url TEXT NOT NULL UNIQUE,
+    name TEXT,
+    website TEXT,
+    first_seen_at TEXT NOT NULL,
+    last_seen_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS launches (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    run_id INTEGER NOT NULL REFERENCES runs(id),
+    product_id INTEGER NOT NULL REFERENCES products(id),
+    position INTEGER NOT NULL,
+    launch_url TEXT,
+    launch_date TEXT,
+    leaderboard_period TEXT,
+    rank INTEGER,
+    upvotes INTEGER,
+    tagline TEXT,
+    comment_count INTEGER,
+    topics TEXT,
+    details_json TEXT,
+    UNIQUE (run_id, product_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS makers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    url TEXT NOT NULL UNIQUE,
+    name TEXT,
+    profile_json TEXT,
+    first_seen_at TEXT NOT NULL,
+    last_seen_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS product_makers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    product_id INTEGER NOT NULL REFERENCES products(id),
+    maker_id INTEGER NOT NULL REFERENCES makers(id),
+    launch_id INTEGER NOT NULL REFERENCES launches(id),
+    role TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    comment_json TEXT,
+    UNIQUE (launch_id, maker_id, role)
+  );
+
+  CREATE TABLE IF NOT EXISTS contacts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    maker_id INTEGER REFERENCES makers(id),
+    product_id INTEGER REFERENCES products(id),
+    type TEXT NOT NULL,
+    value TEXT NOT NULL,
+    source TEXT,
+    page_url TEXT,
+    confidence REAL,
+    first_seen_at TEXT NOT NULL,
+    last_seen_at TEXT NOT NULL
+  );
+
+  -- A contact belongs to either a maker or a product; NULLs would defeat a plain UNIQUE
+  CREATE UNIQUE INDEX IF NOT EXISTS contacts_owner_value
+    ON contacts (COALESCE(maker_id, 0), COALESCE(product_id, 0), type, value);
+
+  CREATE INDEX IF NOT EXISTS launches_product ON launches (product_id);
+  CREATE INDEX IF NOT EXISTS launches_launch_date ON launches (launch_date);
+  CREATE INDEX IF NOT EXISTS product_makers_maker ON product_makers (maker_id);
+`;
+
+/**
+ * Open (and create if needed) the SQLite store
+ * @param {string} dbPath - Path of the database file
+ * @returns {Object} - better-sqlite3 database handle
+ */
+function openStore(dbPath) {
+  // Loaded lazily so runs without a store don't need the native module
+  const Database = require('better-sqlite3');
+
+  fs.mkdirSync(path.dirname(path.resolve(dbPath)), { recursive: true });
+
+  const db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  db.exec(SCHEMA);
+
+  console.log(`SQLite store opened at: ${dbPath}`);
+  return db;
+}
+
+/**
+ * Record the start of a scrape run
+ * @param {Object} db - Database handle
+ * @param {Object} run - Run details ({targetUrl, extractedDate, leaderboardPeriod, topic, csvFilePath})
+ * @returns {number} - Run id
+ */
+function startRun(db, run) {
+  const result = db.prepare(`
+    INSERT INTO runs (target_url, extracted_date, leaderboard_period, topic, csv_file_path, started_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(run.targetUrl, run.extractedDate || '', run.leaderboardPeriod || '', run.topic || '', run.csvFilePath || '', new Date().toISOString());
+
+  return Number(result.lastInsertRowid);
+}
+
+/**
+ * Record the end of a scrape run
+ * @param {Object} db - Database handle
+ * @param {number} runId - Run id
+ * @param {string} status - Final status (completed or failed)
+ */
+function finishRun(db, runId, status) {
+  db.prepare('UPDATE runs SET status = ?, finished_at = ? WHERE id = ?').run(status, new Date().toISOString(), runId);
+}
+
+/**
+ * Insert a contact value if it is not already known for its owner. A known
+ * value takes the provenance of the more confident sighting.
+ * @param {Object} db - Database handle
+ * @param {Object} contact - Contact ({makerId, productId, type, value, source, pageUrl, confidence})
+ * @param {string} now - Timestamp of this write
+ */
+function saveContact(db, contact, now) {
+  if (!contact.value) return;
+
+  db.prepare(`
+    INSERT INTO contacts (maker_id, product_id, type, value, source, page_url, confidence, first_seen_at, last_seen_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT DO UPDATE SET
+      last_seen_at = excluded.last_seen_at,
+      source = CASE WHEN excluded.confidence > COALESCE(contacts.confidence, -1) THEN excluded.source ELSE contacts.source END,
+      page_url = CASE WHEN excluded.confidence > COALESCE(contacts.confidence, -1) THEN excluded.page_url ELSE contacts.page_url END,
+      confidence = NULLIF(MAX(COALESCE(excluded.confidence, -1), COALESCE(contacts.confidence, -1)), -1)
+  `).run(
+    contact.makerId || null,
+    contact.productId || null,
+    contact.type,
+    contact.value,
+    contact.source || '',
+    contact.pageUrl || '',
+    contact.confidence === undefined ? null : contact.confidence,
+    now,
+    now
+  );
+}
+
+/**
+ * Save one processed product (its launch, makers, commenters and contacts)
+ * @param {Object} db - Database handle
+ * @param {number} runId - Run id
+ * @param {number} position - Position of the product in the run
+ * @param {Object} product - Product from the leaderboard or topic page
+ * @param {Object} productDetails - Details returned by getProductDetails
+ * @param {Array} people - Makers and commenters with their role, in CSV order
+ * @param {Object} runInfo - Run info ({extractedDate, leaderboardPeriod})
+ */
+function saveProductResult(db, runId, position, product, productDetails, people, runInfo) {
+  const now = new Date().toISOString();
+  const details = productDetails || {};
+
+  // People are stored in their own tables, everything else stays with the launch
+  const { makers, commenters, comments, ...launchDetails } = details;
+
+  db.transaction(() => {
+    const productRow = db.prepare(`
+      INSERT INTO products (url, name, website, first_seen_at, last_seen_at)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT (url) DO UPDATE SET
+        name = excluded.name,
+        website = COALESCE(NULLIF(excluded.website, ''), products.website),
+        last_seen_at = excluded.last_seen_at
+      RETURNING id
+    `).get(product.url, product.name, details.productWebsite || '', now, now);
+
+    const launchRow = db.prepare(`
+      INSERT INTO launches (run_id, product_id, position, launch_url, launch_date, leaderboard_period,
+                            rank, upvotes, tagline, comment_count, topics, details_json)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (run_id, product_id) DO UPDATE SET
+        position = excluded.position,
+        launch_url = excluded.launch_url,
+        rank = excluded.rank,
+        upvotes = excluded.upvotes,
+        tagline = excluded.tagline,
+        comment_count = excluded.comment_count,
+        topics = excluded.topics,
+        details_json = excluded.details_json
+      RETURNING id
+    `).get(
+      runId,
+      productRow.id,
+      position,
+      product.launchUrl || product.url,
+      runInfo.extractedDate || '',
+      runInfo.leaderboardPeriod || '',
+      product.rank === '' ? null : product.rank,
+      product.upvotes === '' ? null : product.upvotes,
+      product.tagline || '',
+      product.commentCount === '' ? null : product.commentCount,
+      JSON.stringify(product.topics || []),
+      JSON.stringify(launchDetails)
+    );
+
+    // Replace the people of this launch so a re-processed product doesn't duplicate them
+    db.prepare('DELETE FROM product_makers WHERE launch_id = ?').run(launchRow.id);
+
+    people.forEach((person, index) => {
+      const { comment, role, ...profile } = person;
+
+      const makerRow = db.prepare(`
+        INSERT INTO makers (url, name, profile_json, first_seen_at, last_seen_at)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT (url) DO UPDATE SET
+          name = excluded.name,
+          profile_json = excluded.profile_json,
+          last_seen_at = excluded.last_seen_at
+        RETURNING id
+      `).get(person.url, person.name || '', JSON.stringify(profile), now, now);
+
+      db.prepare(`
+        INSERT INTO product_makers (product_id, maker_id, launch_id, role, position, comment_json)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT (launch_id, maker_id, role) DO NOTHING
+      `).run(productRow.id, makerRow.id, launchRow.id, role, index, comment ? JSON.stringify(comment) : null);
+
+      // Every candidate with its provenance, then the chosen values for older results without candidates
+      for (const candidate of person.contactCandidates || []) {
+        saveContact(db, { makerId: makerRow.id, ...candidate }, now);
+      }
+      saveContact(db, { makerId: makerRow.id, type: 'email', value: person.email, source: 'profile' }, now);
+      saveContact(db, { makerId: makerRow.id, type: 'twitter', value: person.xId, source: 'profile' }, now);
+      saveContact(db, { makerId: makerRow.id, type: 'linkedin', value: person.linkedinUrl, source: 'profile' }, now);
+      saveContact(db, { makerId: makerRow.id, type: 'email', value: person.companyEmail, source: 'team-page', pageUrl: person.teamPageUrl }, now);
+      saveContact(db, { makerId: makerRow.id, type: 'linkedin', value: person.companyLinkedinUrl, source: 'team-page', pageUrl: person.teamPageUrl }, now);
+      for (const link of person.links || []) {
+        saveContact(db, { makerId: makerRow.id, type: link.type, value: link.url, source: 'profile' }, now);
+      }
+    });
+
+    const websiteContactInfo = details.websiteContactInfo || {};
+    for (const candidate of websiteContactInfo.candidates || []) {
+      saveContact(db, { productId: productRow.id, ...candidate }, now);
+    }
+    saveContact(db, { productId: productRow.id, type: 'email', value: websiteContactInfo.email, source: 'website' }, now);
+    saveContact(db, { productId: productRow.id, type: 'twitter', value: websiteContactInfo.twitter, source: 'website' }, now);
+    saveContact(db, { productId: productRow.id, type: 'linkedin', value: websiteContactInfo.linkedin, source: 'website' }, now);
+    saveContact(db, { productId: productRow.id, type: 'contact_page', value: websiteContactInfo.website, source: 'website' }, now);
+    saveContact(db, { productId: productRow.id, type: 'phone', value: websiteContactInfo.phone, source: 'website' }, now);
+    saveContact(db, { productId: productRow.id, type: 'postal_address', value: websiteContactInfo.address, source: 'website' }, now);
+  })();
+}
+
+/**
+ * Rebuild the legacy flat CSV records of a run
+ * @param {Object} db - Database handle
+ * @param {number} runId - Run id
+ * @returns {Array} - CSV records in the original order
+ */
+function getRunRecords(db, runId) {
+  const run = db.prepare('SELECT * FROM runs WHERE id = ?').get(runId);
+  if (!run) {
+    throw new Error(`Run ${runId} not found`);
+  }
+
+  const runInfo = { extractedDate: run.extracted_date, leaderboardPeriod: run.leaderboard_period };
+
+  const launches = db.prepare(`
+    SELECT launches.*, products.name AS product_name, products.url AS product_url
+    FROM launches JOIN products ON products.id = launches.product_id
+    WHERE launches.run_id = ?
+    ORDER BY launches.position
+  `).all(runId);
+
+  const peopleQuery = db.prepare(`
+    SELECT product_makers.role, product_makers.comment_json, makers.profile_json
+    FROM product_makers JOIN makers ON makers.id = product_makers.maker_id
+    WHERE product_makers.launch_id = ?
+    ORDER BY product_makers.position
+  `);
+
+  const records = [];
+  for (const launch of launches) {
+    const product = {
+      name: launch.product_name,
+      url: launch.product_url,
+      launchUrl: launch.launch_url,
+      rank: launch.rank === null ? '' : launch.rank,
+      upvotes: launch.upvotes === null ? '' : launch.upvotes,
+      tagline: launch.tagline,
+      commentCount: launch.comment_count === null ? '' : launch.comment_count,
+      topics: JSON.parse(launch.topics || '[]')
+    };
+
+    const people = peopleQuery.all(launch.id).map(row => ({
+      ...JSON.parse(row.profile_json || '{}'),
+      role: row.role,
+      comment: row.comment_json ? JSON.parse(row.comment_json) : undefined
+    }));
+
+    records.push(...createProductRecords(product, JSON.parse(launch.details_json || '{}'), people, runInfo));
+  }
+
+  return records;
+}
+
+/**
+ * Regenerate the legacy CSV file of a run
+ * @param {Object} db - Database handle
+ * @param {number} runId - Run id
+ * @param {string} csvFilePath - Output file path
+ * @returns {number} - Number of records written
+ */
+function exportRunToCsv(db, runId, csvFilePath) {
+  const records = getRunRecords(db, runId);
+  const csvStringifier = createObjectCsvStringifier({ header: CSV_HEADER });
+
+  fs.writeFileSync(csvFilePath, csvStringifier.getHeaderString() + csvStringifier.stringifyRecords(records));
+  return records.length;
+}
+
+// If script is run directly, process command line arguments
+if (require.main === module) {
+  require('dotenv').config();
+
+  const [command, runIdArg, outputArg] = process.argv.slice(2);
+  const dbPath = process.env.DB_PATH || path.join(__dirname, 'product_hunt.db');
+
+  if (command === 'runs') {
+    const db = openStore(dbPath);
+    const runs = db.prepare(`
+      SELECT runs.id, runs.target_url, runs.extracted_date, runs.status, runs.started_at, COUNT(launches.id) AS products
+      FROM runs LEFT JOIN launches ON launches.run_id = runs.id
+      GROUP BY runs.id ORDER BY runs.id
+    `).all();
+    console.table(runs);
+  } else if (command === 'export-csv' && runIdArg) {
+    const db = openStore(dbPath);
+    const runId = parseInt(runIdArg, 10);
+    const run = db.prepare('SELECT * FROM runs WHERE id = ?').get(runId);
+    if (!run) {
+      console.error(`Run ${runId} not found`);
+      process.exit(1);
+    }
+
+    const csvFilePath = outputArg || run.csv_file_path || path.join(__dirname, `product_hunt_data_run_${runId}.csv`);
+    const count = exportRunToCsv(db, runId, csvFilePath);
+    console.log(`Wrote ${count} entries for run ${runId} to ${csvFilePath}`);
+  } else {
+    console.log('Usage:');
+    console.log('  node sqliteStore.js runs                              List stored runs');
+    console.log('  node sqliteStore.js export-csv <run-id> [output.csv]  Regenerate the legacy CSV of a run');
+    process.exit(1);
+  }
+} else {
+  // Export for use in other scripts
+  module.exports = {
+    openStore,
+    startRun,
+    finishRun,
+    saveProductResult,
+    getRunRecords,
+    exportRunToCsv
+  };
+}
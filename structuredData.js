@@ -0,0 +1,267 @@
+// Structured Data Module
+// Reads the machine-readable descriptions a site publishes about itself:
+// JSON-LD (schema.org Organization with its contactPoint, telephone, sameAs and founders),
+// OpenGraph and Twitter card meta tags, and the /.well-known/security.txt and
+// /humans.txt files. These are the most reliable sources of a company's
+// official email and social profiles.
+const { parseEmail } = require('./emailParser');
+const { findEmailsInText } = require('./emailDecoder');
+const { classifyEmail } = require('./emailClassifier');
+const { followRedirects } = require('./urlResolver');
+const { getCountryHint, normalizePhoneNumber } = require('./phoneParser');
+
+// schema.org types that describe the company behind a site
+const ORGANIZATION_TYPES = ['Organization', 'Corporation', 'LocalBusiness', 'OnlineBusiness', 'ProfessionalService', 'NGO'];
+
+/**
+ * Create company metadata without any values
+ * @returns {Object} - Empty company metadata
+ */
+function createEmptyCompanyInfo() {
+  return {
+    name: '',
+    description: '',
+    logo: '',
+    foundingDate: '',
+    founders: [],
+    socialProfiles: []
+  };
+}
+
+/**
+ * Get a Twitter/X handle from a profile URL or an "@handle" value
+ * @param {string} value - Profile URL or handle
+ * @returns {string} - Handle without "@", or '' if there is none
+ */
+function getTwitterHandle(value) {
+  const match = String(value || '').trim().match(/^@?([A-Za-z0-9_]{1,15})$/) ||
+    String(value || '').match(/(?:twitter|x)\.com\/@?([A-Za-z0-9_]{1,15})(?:[/?#]|$)/i);
+  return match && !['intent', 'share', 'home'].includes(match[1].toLowerCase()) ? match[1] : '';
+}
+
+/**
+ * Turn a schema.org value that may be a string, an object or a list into a list
+ * @param {*} value - schema.org value
+ * @returns {Array} - Values as a list
+ */
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Get the name of a schema.org value that may be a plain string or a Thing
+ * @param {*} value - schema.org value
+ * @returns {string} - Name, or '' if there is none
+ */
+function getThingName(value) {
+  if (typeof value === 'string') return value.trim();
+  return value && typeof value.name === 'string' ? value.name.trim() : '';
+}
+
+/**
+ * Resolve a possibly relative URL against the page it was found on
+ * @param {string} value - URL as found
+ * @param {string} pageUrl - URL of the page
+ * @returns {string} - Absolute URL, or '' if it isn't a URL
+ */
+function resolveUrl(value, pageUrl) {
+  if (typeof value !== 'string' || !value.trim()) return '';
+  try {
+    return new URL(value.trim(), pageUrl).href;
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Extract contacts and company metadata from a page's structured data
+ * @param {Object} $ - Cheerio instance of the page
+ * @param {string} pageUrl - URL of the page
+ * @returns {Object} - Structured data ({contacts, company}); contacts are [{type, value, source, confidence}]
+ */
+function extractStructuredData($, pageUrl) {
+  const contacts = [];
+  const company = createEmptyCompanyInfo();
+  const countryHint = getCountryHint($, pageUrl);
+
+  const addContact = (type, value, source, confidence) => {
+    if (value) contacts.push({ type, value, source, confidence });
+  };
+  const addProfile = (profileUrl, source) => {
+    if (typeof profileUrl !== 'string' || !/^https?:\/\//i.test(profileUrl)) return;
+    if (!company.socialProfiles.includes(profileUrl)) {
+      company.socialProfiles.push(profileUrl);
+    }
+    if (/\/\/(www\.)?(twitter|x)\.com\//i.test(profileUrl)) {
+      addContact('twitter', getTwitterHandle(profileUrl), source);
+    } else if (/linkedin\.com\//i.test(profileUrl)) {
+      addContact('linkedin', profileUrl, source);
+    }
+  };
+
+  // Only the company and its contact points (e.g. sales or customer support) give
+  // its emails, phones and profiles; people elsewhere in the data, like the author
+  // of a post or a review, are not the company
+  const addOrganization = (node) => {
+    for (const contactNode of [node, ...toList(node.contactPoint)]) {
+      if (!contactNode || typeof contactNode !== 'object') continue;
+      if (typeof contactNode.email === 'string') {
+        addContact('email', parseEmail(contactNode.email), 'json-ld');
+      }
+      if (typeof contactNode.telephone === 'string') {
+        addContact('phone', normalizePhoneNumber(contactNode.telephone, countryHint), 'json-ld');
+      }
+      if (contactNode !== node && typeof contactNode.url === 'string') {
+        addContact('contact_page', contactNode.url, 'json-ld');
+      }
+    }
+    toList(node.sameAs).forEach(profileUrl => addProfile(profileUrl, 'json-ld'));
+
+    company.name = company.name || getThingName(node.name) || getThingName(node.legalName);
+    company.description = company.description || (typeof node.description === 'string' ? node.description.trim() : '');
+    company.logo = company.logo || resolveUrl(typeof node.logo === 'string' ? node.logo : node.logo && node.logo.url, pageUrl);
+    company.foundingDate = company.foundingDate || (typeof node.foundingDate === 'string' ? node.foundingDate : '');
+
+    // Founders are kept by name; their own email and profiles are weak company contacts
+    for (const founder of [...toList(node.founder), ...toList(node.founders)]) {
+      const founderName = getThingName(founder);
+      if (founderName && !company.founders.includes(founderName)) {
+        company.founders.push(founderName);
+      }
+      if (!founder || typeof founder !== 'object') continue;
+      if (typeof founder.email === 'string') {
+        addContact('email', parseEmail(founder.email), 'json-ld', 0.5);
+      }
+      for (const profileUrl of toList(founder.sameAs)) {
+        if (typeof profileUrl !== 'string') continue;
+        if (/\/\/(www\.)?(twitter|x)\.com\//i.test(profileUrl)) addContact('twitter', getTwitterHandle(profileUrl), 'json-ld', 0.5);
+        else if (/linkedin\.com\//i.test(profileUrl)) addContact('linkedin', profileUrl, 'json-ld', 0.5);
+      }
+    }
+  };
+
+  // JSON-LD blocks, including nested objects and @graph lists
+  $('script[type="application/ld+json"]').each((_, script) => {
+    let data;
+    try {
+      data = JSON.parse($(script).contents().text());
+    } catch (error) {
+      return;
+    }
+
+    const visit = (node) => {
+      if (!node || typeof node !== 'object') return;
+      if (Array.isArray(node)) {
+        node.forEach(visit);
+        return;
+      }
+
+      const types = toList(node['@type']);
+      if (types.some(type => ORGANIZATION_TYPES.includes(type))) {
+        addOrganization(node);
+      }
+
+      Object.values(node).forEach(visit);
+    };
+    visit(data);
+  });
+
+  // OpenGraph fills in what JSON-LD left out; the Twitter card names the official account
+  const meta = (name) => ($(`meta[property="${name}"], meta[name="${name}"]`).first().attr('content') || '').trim();
+  company.name = company.name || meta('og:site_name');
+  company.description = company.description || meta('og:description') || meta('description');
+
+  addContact('twitter', getTwitterHandle(meta('twitter:site')), 'meta-tag');
+  addContact('twitter', getTwitterHandle(meta('twitter:creator')), 'meta-tag', 0.5);
+
+  return { contacts, company };
+}
+
+/**
+ * Fetch a plain text file from a site, or '' if it doesn't exist
+ * @param {string} fileUrl - URL of the file
+ * @returns {string} - File contents
+ */
+async function fetchTextFile(fileUrl) {
+  try {
+    const { status, html } = await followRedirects(fileUrl, 5);
+    // Sites without the file often answer with their HTML homepage
+    return status === 200 && html && !/<html/i.test(html) ? html : '';
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Read the contacts in a site's security.txt and humans.txt files
+ * @param {string} websiteUrl - Any URL on the site
+ * @returns {Array} - Contacts ({type, value, source, pageUrl})
+ */
+async function fetchWellKnownContacts(websiteUrl) {
+  const contacts = [];
+  let origin;
+  try {
+    origin = new URL(websiteUrl).origin;
+  } catch (error) {
+    return contacts;
+  }
+
+  // security.txt lists "Contact:" fields (mailto:, https: or tel:); the old location is still common.
+  // They reach the security team, so do-not-use inboxes like security@ are left out
+  let securityTxtUrl = `${origin}/.well-known/security.txt`;
+  let securityTxt = await fetchTextFile(securityTxtUrl);
+  if (!securityTxt) {
+    securityTxtUrl = `${origin}/security.txt`;
+    securityTxt = await fetchTextFile(securityTxtUrl);
+  }
+  for (const [, contactValue] of securityTxt.matchAll(/^\s*Contact\s*:\s*(\S+)/gim)) {
+    const email = /^mailto:/i.test(contactValue) || !contactValue.includes(':') ? parseEmail(contactValue) : '';
+    if (email && classifyEmail(email) !== 'do-not-use') {
+      contacts.push({ type: 'email', value: email, source: 'security-txt', pageUrl: securityTxtUrl });
+    }
+  }
+
+  // humans.txt is free text; the team usually lists addresses and Twitter handles
+  const humansTxtUrl = `${origin}/humans.txt`;
+  const humansTxt = await fetchTextFile(humansTxtUrl);
+  for (const email of findEmailsInText(humansTxt)) {
+    contacts.push({ type: 'email', value: email, source: 'humans-txt', pageUrl: humansTxtUrl });
+  }
+  for (const [, handle] of humansTxt.matchAll(/(?:twitter|x)\s*:\s*@?([A-Za-z0-9_]{1,15})\b/gi)) {
+    contacts.push({ type: 'twitter', value: handle, source: 'humans-txt', pageUrl: humansTxtUrl });
+  }
+
+  if (contacts.length > 0) {
+    console.log(`Found ${contacts.length} contacts in security.txt/humans.txt of ${origin}`);
+  }
+  return contacts;
+}
+
+/**
+ * Merge company metadata, earlier values winning
+ * @param {...Object} infos - Company metadata, most trusted first
+ * @returns {Object} - Merged company metadata
+ */
+function mergeCompanyInfo(...infos) {
+  const merged = createEmptyCompanyInfo();
+  for (const info of infos) {
+    if (!info) continue;
+    for (const field of ['name', 'description', 'logo', 'foundingDate']) {
+      merged[field] = merged[field] || info[field] || '';
+    }
+    for (const field of ['founders', 'socialProfiles']) {
+      for (const value of info[field] || []) {
+        if (!merged[field].includes(value)) merged[field].push(value);
+      }
+    }
+  }
+  return merged;
+}
+
+module.exports = {
+  createEmptyCompanyInfo,
+  extractStructuredData,
+  fetchWellKnownContacts,
+  mergeCompanyInfo
+};
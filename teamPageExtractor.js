@@ -0,0 +1,298 @@
+// Team Page Extractor Module
+// Reads the person cards on a product site's team and about pages (name,
+// job title, photo and personal LinkedIn or email links) and matches them to
+// the makers found on Product Hunt, so a maker row can carry the job title and
+// contact details the company publishes about them.
+const { parseEmail } = require('./emailParser');
+const { getRegistrableDomain } = require('./urlResolver');
+
+// A person's name: two to four capitalized words, allowing initials and name particles
+const NAME_PATTERN = /^\p{Lu}[\p{L}'’-]+(?:\s+(?:\p{Lu}\.|\p{Lu}[\p{L}'’-]+|van|von|de|der|den|da|di|du|la|le|del|dos)){1,3}$/u;
+
+// Words of headings and labels that look like names but aren't
+const NON_NAME_WORDS = [
+  'our', 'the', 'team', 'meet', 'about', 'contact', 'us', 'company', 'founders', 'founder', 'careers',
+  'join', 'values', 'mission', 'story', 'investors', 'advisors', 'board', 'leadership', 'people',
+  'get', 'touch', 'product', 'features', 'pricing', 'blog', 'news', 'press', 'privacy', 'terms',
+  'read', 'more', 'learn', 'view', 'profile', 'open', 'positions', 'backed', 'by', 'who', 'we', 'are'
+];
+
+// Elements that hold a card's name and its job title
+const NAME_SELECTORS = 'h2, h3, h4, h5, h6, strong, b, figcaption, [class*="name"], [itemprop="name"]';
+const TITLE_SELECTORS = '[class*="title"], [class*="role"], [class*="position"], [class*="job"], [itemprop="jobTitle"]';
+
+// Two names that score at least this much are the same person
+const MATCH_THRESHOLD = 0.8;
+
+/**
+ * Check whether a text is a person's name
+ * @param {string} text - Text to check
+ * @returns {boolean} - True for texts like "Jane Doe" or "Jan van der Berg"
+ */
+function isPersonName(text) {
+  return NAME_PATTERN.test(text) && !text.toLowerCase().split(/\s+/).some(word => NON_NAME_WORDS.includes(word));
+}
+
+/**
+ * Get the trimmed text of an element with whitespace collapsed
+ * @param {Object} $element - Cheerio element
+ * @returns {string} - Text
+ */
+function getElementText($element) {
+  return $element.text().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Read one person card: the job title, contact links and photo around a name
+ * @param {Object} $ - Cheerio instance of the page
+ * @param {Object} $card - Card element
+ * @param {string} name - Name in the card
+ * @param {string} pageUrl - URL of the page
+ * @returns {Object} - Person ({name, title, email, linkedin, photo, pageUrl})
+ */
+function readPersonCard($, $card, name, pageUrl) {
+  const isShortLabel = text => text && !text.includes(name) && text.length <= 80 && !text.includes('@') && !/^https?:/i.test(text);
+
+  let title = $card.find(TITLE_SELECTORS)
+    .map((_, element) => getElementText($(element)))
+    .get()
+    .find(isShortLabel) || '';
+
+  // Without a marked title, the short line right after the name usually is one
+  if (!title) {
+    const leafTexts = $card.find('*')
+      .filter((_, element) => $(element).children().length === 0)
+      .map((_, element) => getElementText($(element)))
+      .get()
+      .filter(Boolean);
+    const nextText = leafTexts[leafTexts.indexOf(name) + 1];
+    if (leafTexts.includes(name) && isShortLabel(nextText) && nextText.length <= 60 && !/[.!?]$/.test(nextText)) {
+      title = nextText;
+    }
+  }
+
+  const resolve = (url) => {
+    try {
+      return url ? new URL(url, pageUrl).href : '';
+    } catch (error) {
+      return '';
+    }
+  };
+  const $photo = $card.find('img').first();
+
+  return {
+    name,
+    title,
+    email: parseEmail($card.find('a[href^="mailto:"]').first().attr('href')),
+    linkedin: $card.find('a[href*="linkedin.com/in/"]').first().attr('href') || '',
+    photo: resolve($photo.attr('src') || $photo.attr('data-src')),
+    pageUrl
+  };
+}
+
+/**
+ * Extract the person cards of a team or about page: schema.org Person data
+ * and elements with a name plus a job title, contact link or photo
+ * @param {Object} $ - Cheerio instance of the page (scripts included, for JSON-LD)
+ * @param {string} pageUrl - URL of the page
+ * @returns {Array} - People ({name, title, email, linkedin, photo, pageUrl})
+ */
+function extractPersonCards($, pageUrl) {
+  const people = [];
+
+  // JSON-LD Person nodes, e.g. a company's founder or employee list
+  $('script[type="application/ld+json"]').each((_, script) => {
+    let data;
+    try {
+      data = JSON.parse($(script).contents().text());
+    } catch (error) {
+      return;
+    }
+
+    const visit = (node) => {
+      if (!node || typeof node !== 'object') return;
+      if (Array.isArray(node)) {
+        node.forEach(visit);
+        return;
+      }
+      const types = Array.isArray(node['@type']) ? node['@type'] : [node['@type']];
+      if (types.includes('Person') && typeof node.name === 'string' && node.name.trim()) {
+        const sameAs = Array.isArray(node.sameAs) ? node.sameAs : [node.sameAs];
+        people.push({
+          name: node.name.trim(),
+          title: typeof node.jobTitle === 'string' ? node.jobTitle.trim() : '',
+          email: typeof node.email === 'string' ? parseEmail(node.email) : '',
+          linkedin: sameAs.find(url => typeof url === 'string' && url.includes('linkedin.com/in/')) || '',
+          photo: typeof node.image === 'string' ? node.image : (node.image && node.image.url) || '',
+          pageUrl
+        });
+      }
+      Object.values(node).forEach(visit);
+    };
+    visit(data);
+  });
+
+  // Cards: the largest element around a name that holds no other name
+  const countNames = ($element) => new Set($element.find(NAME_SELECTORS)
+    .map((_, element) => getElementText($(element)))
+    .get()
+    .filter(isPersonName)).size;
+
+  $('body').find(NAME_SELECTORS).each((_, element) => {
+    const name = getElementText($(element));
+    if (!isPersonName(name)) return;
+
+    let $card = $(element);
+    for (let level = 0; level < 4; level++) {
+      const $parent = $card.parent();
+      if ($parent.length === 0 || $parent.is('body, html, main') || countNames($parent) > 1 || getElementText($parent).length > 600) {
+        break;
+      }
+      $card = $parent;
+    }
+
+    const person = readPersonCard($, $card, name, pageUrl);
+    if (person.title || person.email || person.linkedin || person.photo) {
+      people.push(person);
+    }
+  });
+
+  // The same person may be both in JSON-LD and in a card
+  return mergePeople(people);
+}
+
+/**
+ * Merge person lists from several pages, filling in what a later page adds about the same person
+ * @param {...Array} peopleLists - Person lists, most relevant first
+ * @returns {Array} - Merged people
+ */
+function mergePeople(...peopleLists) {
+  const merged = [];
+  for (const person of peopleLists.flat()) {
+    if (!person) continue;
+    const existing = merged.find(entry => entry.name === person.name);
+    if (!existing) {
+      merged.push({ ...person });
+      continue;
+    }
+    for (const field of ['title', 'email', 'linkedin', 'photo']) {
+      existing[field] = existing[field] || person[field];
+    }
+  }
+  return merged;
+}
+
+/**
+ * Split a name into lowercase words without diacritics
+ * @param {string} name - Name
+ * @returns {Array} - Words, e.g. ['jose', 'garcia']
+ */
+function getNameWords(name) {
+  return String(name || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Get the edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Number of insertions, deletions and substitutions
+ */
+function getEditDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Score how likely two names are the same person: same words, a shortened
+ * or initial first name with the same last name, a first name alone, or a typo
+ * @param {string} makerName - Name on Product Hunt
+ * @param {string} personName - Name on the company's site
+ * @returns {number} - Score from 0 to 1
+ */
+function scoreNameMatch(makerName, personName) {
+  const makerWords = getNameWords(makerName);
+  const personWords = getNameWords(personName);
+  if (makerWords.length === 0 || personWords.length === 0) return 0;
+
+  const makerJoined = makerWords.join(' ');
+  const personJoined = personWords.join(' ');
+  if (makerJoined === personJoined) return 1;
+
+  const sameLastName = makerWords.length > 1 && personWords.length > 1 && makerWords[makerWords.length - 1] === personWords[personWords.length - 1];
+  const [makerFirst, personFirst] = [makerWords[0], personWords[0]];
+  if (sameLastName && (makerFirst.startsWith(personFirst) || personFirst.startsWith(makerFirst))) {
+    return 0.9;
+  }
+
+  // Makers often only give their first name on Product Hunt
+  if ((makerWords.length === 1 || personWords.length === 1) && makerFirst === personFirst) {
+    return 0.8;
+  }
+
+  const similarity = 1 - getEditDistance(makerJoined, personJoined) / Math.max(makerJoined.length, personJoined.length);
+  return similarity >= 0.85 ? similarity * 0.95 : 0;
+}
+
+/**
+ * Match the people of a company's site to its makers and give each matched
+ * maker the job title, and the email on the company's domain and LinkedIn
+ * profile the site lists for them. Ambiguous matches are left out.
+ * @param {Array} makers - Makers from getProductDetails (changed in place)
+ * @param {Array} people - People from the site's team and about pages
+ * @param {string} websiteDomain - Registrable domain of the product website
+ * @returns {number} - Number of makers matched
+ */
+function matchPeopleToMakers(makers, people, websiteDomain) {
+  const pairs = [];
+  for (const maker of makers) {
+    for (const person of people) {
+      const score = scoreNameMatch(maker.name, person.name);
+      if (score >= MATCH_THRESHOLD) {
+        pairs.push({ maker, person, score });
+      }
+    }
+  }
+
+  // Best pairs first; a maker or person with two equally good matches is ambiguous
+  pairs.sort((a, b) => b.score - a.score);
+  const matchedMakers = new Set();
+  const matchedPeople = new Set();
+  let matchCount = 0;
+
+  for (const { maker, person, score } of pairs) {
+    if (matchedMakers.has(maker) || matchedPeople.has(person)) continue;
+    const isAmbiguous = pairs.some(other => other.score === score &&
+      ((other.maker === maker && other.person !== person) || (other.person === person && other.maker !== maker)));
+    matchedMakers.add(maker);
+    matchedPeople.add(person);
+    if (isAmbiguous) continue;
+
+    const emailDomain = person.email ? getRegistrableDomain(person.email.split('@')[1]) : '';
+    maker.jobTitle = person.title;
+    maker.companyEmail = emailDomain && emailDomain === websiteDomain ? person.email : '';
+    maker.companyLinkedinUrl = person.linkedin;
+    maker.teamPageUrl = person.pageUrl;
+    matchCount++;
+    console.log(`Matched maker ${maker.name} to ${person.name}${person.title ? ` (${person.title})` : ''} on ${person.pageUrl}`);
+  }
+
+  return matchCount;
+}
+
+module.exports = {
+  extractPersonCards,
+  mergePeople,
+  matchPeopleToMakers
+};
@@ -0,0 +1,115 @@
+// URL Resolver Module
+// Follows redirect chains over plain HTTP (no browser page needed) and
+// canonicalizes the resulting URLs so website and domain values are consistent.
+const { getDomain } = require('tldts');
+const { fetchWithCapture } = require('./pageRecorder');
+
+// Query parameters that only track where a visitor came from
+const TRACKING_PARAMS = [/^utm_/i, /^fbclid$/i, /^gclid$/i, /^mc_[a-z]+$/i];
+
+/**
+ * Remove tracking parameters (utm_*, ref=producthunt and similar) from a URL
+ * @param {string} url - URL to clean
+ * @returns {string} - URL without tracking parameters
+ */
+function stripTrackingParams(url) {
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch (error) {
+    return url;
+  }
+
+  for (const [name, value] of Array.from(parsedUrl.searchParams.entries())) {
+    const isProductHuntRef = /^(ref|via|source)$/i.test(name) && /product\s*-?hunt/i.test(value);
+    if (isProductHuntRef || TRACKING_PARAMS.some(pattern => pattern.test(name))) {
+      parsedUrl.searchParams.delete(name);
+    }
+  }
+
+  return parsedUrl.href;
+}
+
+/**
+ * Canonicalize a URL: tracking parameters and fragment removed, lowercase host,
+ * and a bare trailing "?" dropped
+ * @param {string} url - URL to canonicalize
+ * @returns {string} - Canonical URL, or '' if it is not a valid http(s) URL
+ */
+function canonicalizeUrl(url) {
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(stripTrackingParams(url));
+  } catch (error) {
+    return '';
+  }
+
+  if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+    return '';
+  }
+
+  parsedUrl.hash = '';
+  parsedUrl.hostname = parsedUrl.hostname.toLowerCase();
+  return parsedUrl.href.replace(/\?$/, '');
+}
+
+/**
+ * Get the registrable domain of a URL (e.g. app.example.co.uk -> example.co.uk).
+ * Private suffixes such as github.io or vercel.app count as public suffixes, so
+ * each project hosted on them keeps its own domain.
+ * @param {string} url - URL or hostname
+ * @returns {string} - Registrable domain, or '' if there is none
+ */
+function getRegistrableDomain(url) {
+  return getDomain(url, { allowPrivateDomains: true }) || '';
+}
+
+/**
+ * Find a <meta http-equiv="refresh"> redirect target in an HTML page
+ * @param {string} html - Page HTML
+ * @param {string} baseUrl - URL of the page, for relative targets
+ * @returns {string} - Redirect target, or '' if there is none
+ */
+function findMetaRefresh(html, baseUrl) {
+  const match = /<meta[^>]+http-equiv=["']?refresh["']?[^>]*content=["']?\s*\d+\s*;\s*url=([^"'>\s]+)/i.exec(html || '');
+  if (!match) return '';
+
+  try {
+    return new URL(match[1], baseUrl).href;
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Follow a redirect chain over HTTP, recording every hop
+ * @param {string} url - URL to start from
+ * @param {number} maxHops - Maximum number of redirects to follow
+ * @returns {Object} - Result ({finalUrl, status, html, hops}); hops are [{url, status}]
+ */
+async function followRedirects(url, maxHops = 10) {
+  const hops = [];
+  let currentUrl = url;
+
+  for (let hop = 0; hop <= maxHops; hop++) {
+    const response = await fetchWithCapture(currentUrl);
+    hops.push({ url: currentUrl, status: response.status });
+
+    const nextUrl = response.location || findMetaRefresh(response.html, currentUrl);
+    if (!nextUrl || hops.some(previous => previous.url === nextUrl)) {
+      return { finalUrl: currentUrl, status: response.status, html: response.html, hops };
+    }
+
+    currentUrl = nextUrl;
+  }
+
+  console.log(`Stopped following redirects from ${url} after ${maxHops} hops`);
+  return { finalUrl: currentUrl, status: 0, html: '', hops };
+}
+
+module.exports = {
+  stripTrackingParams,
+  canonicalizeUrl,
+  getRegistrableDomain,
+  followRedirects
+};
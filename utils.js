@@ -50,6 +50,25 @@ function cleanText(text) {
   return text.replace(/\s+/g, ' ').trim();
 }
 
+/**
+ * Parse a displayed count such as "1,234" or "1.2K" into a number
+ * @param {string} text - Text containing the count
+ * @returns {number|string} - Parsed count, or empty string if none found
+ */
+function parseCount(text) {
+  if (!text) return '';
+  
+  const match = cleanText(text).replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*([kKmM])?/);
+  if (!match) return '';
+  
+  let count = parseFloat(match[1]);
+  const suffix = (match[2] || '').toLowerCase();
+  if (suffix === 'k') count *= 1000;
+  if (suffix === 'm') count *= 1000000;
+  
+  return Math.round(count);
+}
+
 /**
  * Validate a URL
  * @param {string} url - URL to validate
@@ -64,33 +83,255 @@ function isValidUrl(url) {
   }
 }
 
+// Leaderboard periods and the number of date segments each one has in its URL
+const LEADERBOARD_PERIODS = {
+  daily: 3,   // /leaderboard/daily/YYYY/M/D/all
+  weekly: 2,  // /leaderboard/weekly/YYYY/W
+  monthly: 2, // /leaderboard/monthly/YYYY/M
+  yearly: 1   // /leaderboard/yearly/YYYY
+};
+
+/**
+ * Get the ISO 8601 week (and week-numbering year) that contains a date
+ * @param {Date} date - Date to look up
+ * @returns {Object} - { year, week }
+ */
+function getIsoWeek(date) {
+  const target = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+  // Move to the Thursday of this week, which decides the week-numbering year
+  const dayOfWeek = target.getUTCDay() || 7;
+  target.setUTCDate(target.getUTCDate() + 4 - dayOfWeek);
+  
+  const yearStart = new Date(Date.UTC(target.getUTCFullYear(), 0, 1));
+  const week = Math.ceil(((target - yearStart) / 86400000 + 1) / 7);
+  
+  return { year: target.getUTCFullYear(), week };
+}
+
+/**
+ * Get the Monday that starts an ISO 8601 week
+ * @param {number} year - Week-numbering year
+ * @param {number} week - ISO week number
+ * @returns {Date} - Monday of that week (local time)
+ */
+function getIsoWeekStart(year, week) {
+  // January 4th is always in week 1
+  const jan4 = new Date(year, 0, 4);
+  const jan4DayOfWeek = jan4.getDay() || 7;
+  return new Date(year, 0, 4 - jan4DayOfWeek + 1 + (week - 1) * 7);
+}
+
+/**
+ * Parse a Product Hunt leaderboard URL into its period components
+ * @param {string} url - Daily, weekly, monthly or yearly leaderboard URL
+ * @returns {Object|null} - { period, year, month, day, week, allSuffix } or null if not a leaderboard URL
+ */
+function parseLeaderboardUrl(url) {
+  if (!url || !isValidUrl(url)) return null;
+  
+  const match = new URL(url).pathname.match(/^\/leaderboard\/(daily|weekly|monthly|yearly)\/([0-9]{4})((?:\/[0-9]{1,2})*)(\/all)?\/?$/);
+  if (!match) return null;
+  
+  const period = match[1];
+  const segments = [match[2], ...match[3].split('/').filter(Boolean)].map(segment => parseInt(segment, 10));
+  
+  if (segments.length !== LEADERBOARD_PERIODS[period]) return null;
+  
+  const info = { period, year: segments[0], month: null, day: null, week: null, allSuffix: Boolean(match[4]) };
+  
+  if (period === 'daily') {
+    info.month = segments[1];
+    info.day = segments[2];
+  } else if (period === 'weekly') {
+    info.week = segments[1];
+  } else if (period === 'monthly') {
+    info.month = segments[1];
+  }
+  
+  // Reject dates that don't exist, e.g. month 13, February 30th or week 53 of a 52-week year
+  if (info.month !== null && (info.month < 1 || info.month > 12)) return null;
+  if (info.day !== null && (info.day < 1 || info.day > new Date(info.year, info.month, 0).getDate())) return null;
+  // December 28th is always in the last ISO week of its year
+  if (info.week !== null && (info.week < 1 || info.week > getIsoWeek(new Date(info.year, 11, 28)).week)) return null;
+  
+  return info;
+}
+
 /**
- * Extracts date from a Product Hunt leaderboard URL
- * @param {string} url - URL in format https://www.producthunt.com/leaderboard/daily/YYYY/M/D/all
- * @returns {string} Formatted date string (YYYY-MM-DD)
+ * Build a Product Hunt leaderboard URL from period components
+ * @param {Object} info - Period components as returned by parseLeaderboardUrl
+ * @returns {string} - Leaderboard URL (no leading zeros, matching Product Hunt)
+ */
+function buildLeaderboardUrl(info) {
+  let segments;
+  if (info.period === 'daily') {
+    segments = [info.year, info.month, info.day];
+  } else if (info.period === 'weekly') {
+    segments = [info.year, info.week];
+  } else if (info.period === 'monthly') {
+    segments = [info.year, info.month];
+  } else {
+    segments = [info.year];
+  }
+  
+  // Daily URLs have always been used with the /all suffix
+  const suffix = info.period === 'daily' || info.allSuffix ? '/all' : '';
+  
+  return `https://www.producthunt.com/leaderboard/${info.period}/${segments.join('/')}${suffix}`;
+}
+
+/**
+ * Get the leaderboard period that contains a date
+ * @param {string} period - daily, weekly, monthly or yearly
+ * @param {Date} date - Date inside the period
+ * @returns {Object} - Period components as returned by parseLeaderboardUrl
+ */
+function getLeaderboardPeriodForDate(period, date) {
+  if (!LEADERBOARD_PERIODS[period]) {
+    throw new Error(`Unknown leaderboard period: ${period}`);
+  }
+  
+  const info = { period, year: date.getFullYear(), month: null, day: null, week: null, allSuffix: period === 'daily' };
+  
+  if (period === 'daily') {
+    info.month = date.getMonth() + 1;
+    info.day = date.getDate();
+  } else if (period === 'weekly') {
+    const isoWeek = getIsoWeek(date);
+    info.year = isoWeek.year;
+    info.week = isoWeek.week;
+  } else if (period === 'monthly') {
+    info.month = date.getMonth() + 1;
+  }
+  
+  return info;
+}
+
+/**
+ * Get the first day of a leaderboard period
+ * @param {Object} info - Period components as returned by parseLeaderboardUrl
+ * @returns {Date} - First day of the period (local time)
+ */
+function getLeaderboardPeriodStart(info) {
+  if (info.period === 'daily') return new Date(info.year, info.month - 1, info.day);
+  if (info.period === 'weekly') return getIsoWeekStart(info.year, info.week);
+  if (info.period === 'monthly') return new Date(info.year, info.month - 1, 1);
+  return new Date(info.year, 0, 1);
+}
+
+/**
+ * Move a leaderboard period forwards or backwards by whole periods
+ * @param {Object} info - Period components as returned by parseLeaderboardUrl
+ * @param {number} steps - Number of periods to move (negative to go back in time)
+ * @returns {Object} - Shifted period components
+ */
+function shiftLeaderboardPeriod(info, steps) {
+  const start = getLeaderboardPeriodStart(info);
+  
+  if (info.period === 'daily') {
+    start.setDate(start.getDate() + steps);
+  } else if (info.period === 'weekly') {
+    start.setDate(start.getDate() + steps * 7);
+  } else if (info.period === 'monthly') {
+    start.setMonth(start.getMonth() + steps);
+  } else {
+    start.setFullYear(start.getFullYear() + steps);
+  }
+  
+  return { ...getLeaderboardPeriodForDate(info.period, start), allSuffix: info.allSuffix };
+}
+
+/**
+ * Move a leaderboard URL by a number of periods of its own kind. Only the date
+ * segments change; host, period, /all suffix and query string stay as they are.
+ * @param {string} url - Leaderboard URL
+ * @param {number} steps - Number of periods to move (negative for earlier)
+ * @returns {string} - Shifted URL, or '' if the URL isn't a leaderboard URL
+ */
+function shiftLeaderboardUrl(url, steps) {
+  const info = parseLeaderboardUrl(url);
+  if (!info) return '';
+  
+  // The date segments of the shifted period's canonical URL replace those of the original
+  const datePattern = /^(\/leaderboard\/[a-z]+\/)([0-9]{4}(?:\/[0-9]{1,2})*)/;
+  const shiftedDate = new URL(buildLeaderboardUrl(shiftLeaderboardPeriod(info, steps))).pathname.match(datePattern)[2];
+  
+  const shiftedUrl = new URL(url);
+  shiftedUrl.pathname = shiftedUrl.pathname.replace(datePattern, (match, prefix) => `${prefix}${shiftedDate}`);
+  return shiftedUrl.href;
+}
+
+/**
+ * Format a leaderboard period as a sortable label
+ * @param {Object} info - Period components as returned by parseLeaderboardUrl
+ * @returns {string} - YYYY-MM-DD (daily), YYYY-Www (weekly), YYYY-MM (monthly) or YYYY (yearly)
+ */
+function formatLeaderboardPeriod(info) {
+  const year = String(info.year);
+  
+  if (info.period === 'daily') {
+    return `${year}-${String(info.month).padStart(2, '0')}-${String(info.day).padStart(2, '0')}`;
+  } else if (info.period === 'weekly') {
+    return `${year}-W${String(info.week).padStart(2, '0')}`;
+  } else if (info.period === 'monthly') {
+    return `${year}-${String(info.month).padStart(2, '0')}`;
+  }
+  
+  return year;
+}
+
+/**
+ * Extract the topic slug from a Product Hunt topic page URL
+ * @param {string} url - URL in format https://www.producthunt.com/topics/<slug>
+ * @returns {string} - Topic slug, or empty string if the URL is not a topic page
+ */
+function extractTopicFromUrl(url) {
+  if (!url || !isValidUrl(url)) return '';
+  
+  const match = new URL(url).pathname.match(/^\/(?:topics|categories)\/([a-z0-9-]+)\/?$/i);
+  return match ? match[1] : '';
+}
+
+/**
+ * Parse a Product Hunt product or post URL. Products persist across launches
+ * (/products/<slug>), posts are a single launch (/posts/<slug>).
+ * @param {string} url - Absolute or site-relative URL
+ * @returns {Object|null} - {type: 'product'|'post', slug, url} with a canonical URL, or null
+ */
+function parseProductHuntUrl(url) {
+  if (!url) return null;
+  
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url, 'https://www.producthunt.com');
+  } catch (error) {
+    return null;
+  }
+  
+  if (!/(^|\.)producthunt\.com$/i.test(parsedUrl.hostname)) return null;
+  
+  // Sub-pages like /products/acme/reviews or ?launch=... belong to the same entity
+  const match = parsedUrl.pathname.match(/^\/(products|posts)\/([a-z0-9-]+)/i);
+  if (!match) return null;
+  
+  const type = match[1] === 'products' ? 'product' : 'post';
+  const slug = match[2].toLowerCase();
+  return { type, slug, url: `https://www.producthunt.com/${match[1]}/${slug}` };
+}
+
+/**
+ * Extracts the date (or period) from a Product Hunt leaderboard URL
+ * @param {string} url - Daily, weekly, monthly or yearly leaderboard URL
+ * @returns {string} Formatted period string (YYYY-MM-DD, YYYY-Www, YYYY-MM or YYYY)
  */
 function extractDateFromUrl(url) {
   try {
-    // Default value in case extraction fails
-    const defaultDate = '';
-    
-    if (!url || !isValidUrl(url)) return defaultDate;
+    const info = parseLeaderboardUrl(url);
     
-    // Extract date components using regex
-    const datePattern = /\/leaderboard\/daily\/([0-9]{4})\/([0-9]{1,2})\/([0-9]{1,2})\/all/;
-    const match = url.match(datePattern);
-    
-    if (match && match.length === 4) {
-      const year = match[1];
-      // Ensure month and day are padded with leading zeros if needed
-      const month = match[2].padStart(2, '0');
-      const day = match[3].padStart(2, '0');
-      
-      // Return a formatted date string
-      return `${year}-${month}-${day}`;
-    }
+    // Default value in case extraction fails
+    if (!info) return '';
     
-    return defaultDate;
+    return formatLeaderboardPeriod(info);
   } catch (error) {
     console.error(`Error extracting date from URL: ${error.message}`);
     return '';
@@ -102,6 +343,15 @@ module.exports = {
   formatDate,
   randomDelay,
   cleanText,
+  parseCount,
   isValidUrl,
+  parseLeaderboardUrl,
+  buildLeaderboardUrl,
+  getLeaderboardPeriodForDate,
+  shiftLeaderboardPeriod,
+  shiftLeaderboardUrl,
+  formatLeaderboardPeriod,
+  extractTopicFromUrl,
+  parseProductHuntUrl,
   extractDateFromUrl
 }; 
\ No newline at end of file
@@ -1,23 +1,69 @@
 // Website Contact Extractor Module
 const cheerio = require('cheerio');
 const { delay, randomDelay, isValidUrl } = require('./utils');
+const { preparePage, capturePage, checkFetchPath } = require('./pageRecorder');
+const { addContactCandidate, mergeContactCandidates, getContactCandidates, pickBestContact } = require('./contactCandidates');
+const { crawlWebsite } = require('./siteCrawler');
+const { followRedirects } = require('./urlResolver');
+const { findEmailsInText, findObfuscatedEmails } = require('./emailDecoder');
+const { EMAIL_TOKEN_PATTERN, parseEmail, isPlaceholderEmail } = require('./emailParser');
+const { pickBestEmail } = require('./emailClassifier');
+const { createEmptyCompanyInfo, extractStructuredData, fetchWellKnownContacts, mergeCompanyInfo } = require('./structuredData');
+const { detectContactForms, mergeContactForms } = require('./contactFormDetector');
+const { getCountryHint, getPhoneCountry, normalizePhoneNumber, findPhoneNumbersInText } = require('./phoneParser');
+const { getAddressCountry, findPostalAddresses } = require('./postalAddress');
+const { extractPersonCards, mergePeople } = require('./teamPageExtractor');
+
+// Crawled pages whose person cards describe the company's team
+const TEAM_PAGE_KINDS = ['team', 'about'];
+
+// Domains that often show up as a site's contact page by mistake
+const FALSE_POSITIVE_DOMAINS = [
+  'bebop.ai',
+  'lu.ma', 
+  'twitter.com', 
+  'x.com', 
+  'linkedin.com',
+  'facebook.com'
+];
+
+// Elements single page apps render into; when they are empty the HTML needs a browser
+const APP_ROOT_SELECTORS = '#root, #app, #__next, #__nuxt, #svelte, [data-reactroot], app-root';
 
 /**
  * Extract contact information from a product website
  * @param {Object} browser - Puppeteer browser instance
  * @param {string} websiteUrl - URL of the product website
- * @returns {Object} - Contact information (email, twitter, linkedin, website)
+ * @param {Object} crawlBudget - Budget for crawling pages beyond the homepage ({maxPages, maxDepth, timeBudget})
+ * @returns {Object} - Contact information (email, twitter, linkedin, website, phone, address, country), every candidate found, the contact forms of the homepage and contact page, the people on the team and about pages, company metadata from the homepage's structured data and the fetch path used (http or browser)
  */
-async function extractWebsiteContactInfo(browser, websiteUrl) {
+async function extractWebsiteContactInfo(browser, websiteUrl, crawlBudget = {}) {
   if (!websiteUrl || !isValidUrl(websiteUrl)) {
     console.log(`Invalid website URL: ${websiteUrl}`);
-    return { email: '', twitter: '', linkedin: '', website: '' };
+    return { email: '', twitter: '', linkedin: '', website: '', phone: '', address: '', country: '', candidates: [], contactForms: [], people: [], company: createEmptyCompanyInfo(), fetchPath: '' };
   }
 
   console.log(`Extracting contact info from website: ${websiteUrl}`);
   
+  // security.txt and humans.txt are plain files, the same whichever way the pages are loaded
+  const wellKnownContacts = await fetchWellKnownContacts(websiteUrl);
+  
+  // Most sites serve their contact details in plain HTML, which is much faster than a browser
+  const httpResult = await extractWebsiteContactInfoOverHttp(websiteUrl, crawlBudget);
+  wellKnownContacts.forEach(contact => addContactCandidate(httpResult.candidates, contact));
+  if (!httpResult.escalationReason) {
+    const httpContactInfo = summarizeContactCandidates(httpResult.candidates);
+    console.log(`Found ${httpResult.candidates.length} contact candidates over HTTP, best email: ${httpContactInfo.email || 'none'}`);
+    logContactForms(httpResult.contactForms);
+    checkFetchPath(websiteUrl, 'http');
+    return { ...httpContactInfo, contactForms: httpResult.contactForms, people: httpResult.people, company: httpResult.company, fetchPath: 'http' };
+  }
+  
+  console.log(`Loading ${websiteUrl} in the browser: ${httpResult.escalationReason}`);
+  
   // Create a new page
   const page = await browser.newPage();
+  await preparePage(page);
   
   // Configure the page to appear more like a real browser
   await page.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36');
@@ -59,6 +105,7 @@ async function extractWebsiteContactInfo(browser, websiteUrl) {
     
     // Try to navigate to the website with retries
     let navigationSuccessful = false;
+    let navigationResponse = null;
     let retryCount = 0;
     const maxRetries = 3;
     
@@ -83,7 +130,7 @@ async function extractWebsiteContactInfo(browser, websiteUrl) {
         });
         
         // Race between navigation and timeout
-        await Promise.race([navigationPromise, timeoutPromise]);
+        navigationResponse = await Promise.race([navigationPromise, timeoutPromise]);
         
         // If we get here, navigation was successful
         navigationSuccessful = true;
@@ -151,49 +198,6 @@ async function extractWebsiteContactInfo(browser, websiteUrl) {
     // Wait for the page to fully load
     await delay(2000);
     
-    // After successful navigation, first try to find and visit contact page
-    let contactPageUrl = '';
-    try {
-      contactPageUrl = await page.evaluate(() => {
-        const contactLinks = Array.from(document.querySelectorAll('a')).filter(link => {
-          const href = link.href.toLowerCase();
-          const text = link.textContent.toLowerCase();
-          return (href.includes('/contact') || 
-                 href.includes('/about') || 
-                 href.includes('/support') || 
-                 text.includes('contact') || 
-                 text.includes('get in touch') ||
-                 text.includes('reach out')) &&
-                 !href.includes('#') && // Exclude anchor links
-                 !href.includes('javascript:'); // Exclude javascript: links
-        });
-        return contactLinks.length > 0 ? contactLinks[0].href : '';
-      });
-    } catch (error) {
-      console.log('Error finding contact page:', error.message);
-    }
-
-    let contactPageInfo = { email: '', twitter: '', linkedin: '', website: '' };
-    
-    // If contact page found, visit it first
-    if (contactPageUrl) {
-      console.log('Found contact page:', contactPageUrl);
-      try {
-        await page.goto(contactPageUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
-        await delay(2000);
-        
-        // Extract from contact page
-        contactPageInfo = await extractContactInfoFromPage(page);
-        console.log('Contact info from contact page:', contactPageInfo);
-        
-        // Go back to main page
-        await page.goto(websiteUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
-        await delay(2000);
-      } catch (error) {
-        console.log('Error processing contact page:', error.message);
-      }
-    }
-
     // First extract contact info from the initial page load
     let initialContactInfo = await extractContactInfoFromPage(page);
 
@@ -210,44 +214,47 @@ async function extractWebsiteContactInfo(browser, websiteUrl) {
 
     // Wait longer for any lazy-loaded content
     await delay(3000);
+    
+    // Save the fully scrolled homepage in record mode
+    await capturePage(page, websiteUrl, navigationResponse);
 
     // Extract contact info again after scrolling
     let footerContactInfo = await extractContactInfoFromPage(page);
 
-    // Merge all results, preferring non-empty values in this order:
-    // 1. Contact page info
-    // 2. Footer info
-    // 3. Initial page info
-    const mergedContactInfo = {
-      email: contactPageInfo.email || footerContactInfo.email || initialContactInfo.email || '',
-      twitter: contactPageInfo.twitter || footerContactInfo.twitter || initialContactInfo.twitter || '',
-      linkedin: contactPageInfo.linkedin || footerContactInfo.linkedin || initialContactInfo.linkedin || '',
-      website: contactPageInfo.website || footerContactInfo.website || initialContactInfo.website || ''
-    };
+    // Keep every candidate from the initial load and the scrolled page
+    const candidates = mergeContactCandidates(footerContactInfo.candidates, initialContactInfo.candidates);
 
-    // If still no email found, try to extract from page source
-    if (!mergedContactInfo.email) {
-      const pageSource = await page.content();
-      const emailMatches = pageSource.match(/([a-zA-Z0-9._-]+@[a-zA-Z0-9._-]+\.[a-zA-Z0-9._-]+)/gi);
-      if (emailMatches) {
-        // Filter and clean email matches
-        const validEmails = emailMatches
-          .filter(email => {
-            return !email.includes('example.com') &&
-                   !email.includes('yourdomain.com') &&
-                   !email.includes('domain.com') &&
-                   email.length < 100; // Basic sanity check
-          })
-          .map(email => email.trim());
-        
-        if (validEmails.length > 0) {
-          mergedContactInfo.email = validEmails[0];
-          console.log('Found email in page source:', mergedContactInfo.email);
-        }
-      }
-    }
+    // Addresses anywhere in the page source are the weakest signal
+    const pageSource = await page.content();
+    const company = mergeCompanyInfo(extractStructuredData(cheerio.load(pageSource), page.url()).company, httpResult.company);
+    findEmailsInText(pageSource)
+      .filter(email => !isPlaceholderEmail(email))
+      .forEach(email => addContactCandidate(candidates, { type: 'email', value: email, source: 'page-source', pageUrl: page.url() }));
+
+    // Then visit the site's contact, imprint, team, about and legal pages and merge what they list
+    const crawledPages = await crawlWebsite(page, (crawledPage, pageInfo) => {
+      return extractContactInfoFromPage(crawledPage, { isContactPage: pageInfo.isContactPage, isTeamPage: TEAM_PAGE_KINDS.includes(pageInfo.kind) });
+    }, crawlBudget);
+    addCrawledPageCandidates(candidates, crawledPages, websiteUrl);
+    
+    // Forms on the contact page come first, then the homepage's; embeds may only have rendered after scrolling
+    const contactForms = mergeContactForms(
+      getCrawledContactForms(crawledPages),
+      footerContactInfo.contactForms,
+      initialContactInfo.contactForms,
+      httpResult.contactForms
+    );
+    logContactForms(contactForms);
+    const people = mergePeople(getCrawledPeople(crawledPages), httpResult.people);
+    
+    // Keep what the HTTP pass found before escalating
+    httpResult.candidates.forEach(candidate => addContactCandidate(candidates, candidate));
+
+    const mergedContactInfo = summarizeContactCandidates(candidates);
+    console.log(`Found ${candidates.length} contact candidates in the browser, best email: ${mergedContactInfo.email || 'none'}`);
+    checkFetchPath(websiteUrl, 'browser');
 
-    return mergedContactInfo;
+    return { ...mergedContactInfo, contactForms, people, company, fetchPath: 'browser' };
   } catch (error) {
     console.error(`Error extracting website contact info: ${error.message}`);
     
@@ -276,29 +283,626 @@ async function extractWebsiteContactInfo(browser, websiteUrl) {
       console.log(`Could not take error screenshot: ${screenshotError.message}`);
     }
     
-    return { email: '', twitter: '', linkedin: '', website: '' };
+    checkFetchPath(websiteUrl, 'browser');
+    return { ...summarizeContactCandidates(httpResult.candidates), contactForms: httpResult.contactForms, people: httpResult.people, company: httpResult.company, fetchPath: 'browser' };
   } finally {
     // Always close the page to free up resources
     await page.close();
   }
 }
 
+/**
+ * Check whether a page's HTML is an empty shell that only a browser can fill in
+ * @param {string} html - Page HTML
+ * @returns {boolean} - True if the page looks client-rendered
+ */
+function looksClientRendered(html) {
+  const $ = cheerio.load(html || '');
+  $('script, style, noscript, template').remove();
+  
+  const bodyText = $('body').text().replace(/\s+/g, ' ').trim();
+  const appRoot = $(APP_ROOT_SELECTORS).first();
+  const hasEmptyAppRoot = appRoot.length > 0 && appRoot.text().trim().length < 50;
+  
+  return bodyText.length < 250 || hasEmptyAppRoot;
+}
+
+/**
+ * Create a stand-in for a Puppeteer page that loads pages over plain HTTP, so
+ * the site crawler can walk a site without a browser
+ * @param {string} url - URL of the loaded page
+ * @param {string} html - HTML of the loaded page
+ * @returns {Object} - Page-like object (url, content, goto, isHttpPage)
+ */
+function createHttpPage(url, html) {
+  let current = { url, html };
+  
+  return {
+    isHttpPage: true,
+    url: () => current.url,
+    content: async () => current.html,
+    goto: async (targetUrl) => {
+      const response = await followRedirects(targetUrl);
+      if (response.status < 200 || response.status >= 300) {
+        throw new Error(`HTTP status ${response.status}`);
+      }
+      current = { url: response.finalUrl, html: response.html || '' };
+      return null;
+    }
+  };
+}
+
+/**
+ * Add the candidates of crawled pages to a candidate list. A crawled contact
+ * page is itself a contact page candidate.
+ * @param {Array} candidates - Candidate list to add to
+ * @param {Array} crawledPages - Pages returned by crawlWebsite
+ * @param {string} websiteUrl - URL of the product website
+ */
+function addCrawledPageCandidates(candidates, crawledPages, websiteUrl) {
+  for (const crawledPage of crawledPages) {
+    console.log(`Contact info from ${crawledPage.kind} page ${crawledPage.url}: ${crawledPage.result.candidates.length} candidates`);
+    crawledPage.result.candidates.forEach(candidate => addContactCandidate(candidates, candidate));
+    if (crawledPage.kind === 'contact') {
+      addContactCandidate(candidates, { type: 'contact_page', value: crawledPage.url, source: 'contact-page', pageUrl: websiteUrl });
+    }
+  }
+}
+
+/**
+ * Get the contact forms of the crawled contact pages
+ * @param {Array} crawledPages - Pages returned by crawlWebsite
+ * @returns {Array} - Contact forms
+ */
+function getCrawledContactForms(crawledPages) {
+  return mergeContactForms(...crawledPages
+    .filter(crawledPage => crawledPage.kind === 'contact')
+    .map(crawledPage => crawledPage.result.contactForms || []));
+}
+
+/**
+ * Get the people listed on the crawled team and about pages
+ * @param {Array} crawledPages - Pages returned by crawlWebsite
+ * @returns {Array} - People
+ */
+function getCrawledPeople(crawledPages) {
+  const people = mergePeople(...crawledPages.map(crawledPage => crawledPage.result.people || []));
+  if (people.length > 0) {
+    console.log(`Found ${people.length} people on team pages: ${people.map(person => person.name).join(', ')}`);
+  }
+  return people;
+}
+
+/**
+ * Log the contact forms found on a site
+ * @param {Array} contactForms - Contact forms
+ */
+function logContactForms(contactForms) {
+  for (const form of contactForms) {
+    console.log(`Found ${form.provider} contact form: ${form.url}${form.fields.length > 0 ? ` (${form.fields.join(', ')})` : ''}`);
+  }
+}
+
+/**
+ * Extract contact information from a website over plain HTTP: the homepage and
+ * the crawled priority pages, parsed without a browser
+ * @param {string} websiteUrl - URL of the product website
+ * @param {Object} crawlBudget - Budget for crawling pages beyond the homepage
+ * @returns {Object} - Result ({candidates, contactForms, people, company, escalationReason}); a non-empty escalationReason means the browser is needed
+ */
+async function extractWebsiteContactInfoOverHttp(websiteUrl, crawlBudget) {
+  let homepage;
+  try {
+    homepage = await followRedirects(websiteUrl);
+  } catch (error) {
+    return { candidates: [], contactForms: [], people: [], company: createEmptyCompanyInfo(), escalationReason: `HTTP fetch failed (${error.message})` };
+  }
+  
+  if (homepage.status < 200 || homepage.status >= 300 || !homepage.html) {
+    return { candidates: [], contactForms: [], people: [], company: createEmptyCompanyInfo(), escalationReason: `HTTP status ${homepage.status}` };
+  }
+  
+  const homepageContactInfo = extractContactInfoFromHtml(homepage.html, homepage.finalUrl);
+  const { candidates } = homepageContactInfo;
+  const { company } = extractStructuredData(cheerio.load(homepage.html), homepage.finalUrl);
+  if (looksClientRendered(homepage.html)) {
+    return { candidates, contactForms: homepageContactInfo.contactForms, people: [], company, escalationReason: 'page looks client-rendered' };
+  }
+  
+  const crawledPages = await crawlWebsite(createHttpPage(homepage.finalUrl, homepage.html), async (crawledPage, pageInfo) => {
+    return extractContactInfoFromHtml(await crawledPage.content(), crawledPage.url(), {
+      isContactPage: pageInfo.isContactPage,
+      isTeamPage: TEAM_PAGE_KINDS.includes(pageInfo.kind)
+    });
+  }, crawlBudget);
+  addCrawledPageCandidates(candidates, crawledPages, websiteUrl);
+  const contactForms = mergeContactForms(getCrawledContactForms(crawledPages), homepageContactInfo.contactForms);
+  const people = getCrawledPeople(crawledPages);
+  
+  if (!['email', 'twitter', 'linkedin'].some(type => pickBestContact(candidates, type))) {
+    return { candidates, contactForms, people, company, escalationReason: 'no contact details in the static HTML' };
+  }
+  
+  return { candidates, contactForms, people, company, escalationReason: '' };
+}
+
 /**
  * Extract contact info from the current page state
  * @param {Object} page - Puppeteer page object
- * @returns {Object} - Contact information
+ * @param {Object} options - Extraction options
+ * @param {boolean} options.isContactPage - Whether the page is the site's contact page
+ * @param {boolean} options.isTeamPage - Whether the page is a team or about page, whose person cards are read
+ * @returns {Object} - Contact information ({email, twitter, linkedin, website, phone, address, country, candidates, contactForms, people})
  */
-async function extractContactInfoFromPage(page) {
+async function extractContactInfoFromPage(page, options = {}) {
   // Get the HTML content
   const content = await page.content();
   const $ = cheerio.load(content);
+  const pageUrl = page.url();
+  
+  const candidates = [];
+  const addCandidate = createCandidateAdder(candidates, pageUrl, options);
+  
+  // Links, structured data, forms, phone numbers, addresses and person cards don't need the rendered page
+  collectMarkupCandidates($, pageUrl, addCandidate);
+  collectPhoneAndAddressCandidates($, pageUrl, addCandidate, options);
+  const contactForms = detectContactForms($, pageUrl);
+  const people = options.isTeamPage ? extractPersonCards($, pageUrl) : [];
+  
+  // Enhanced email extraction
+  console.log('Looking for email with enhanced extraction...');
+  
+  // Use JavaScript to find emails in various page elements
+  // Only possible addresses are collected here; the shared email parser validates them afterwards
+  const jsEmails = await page.evaluate((tokenPatternSource) => {
+    const emails = new Map();
+    
+    // Helper function to extract email from text, keeping the first place it was seen
+    const extractEmailFromText = (text, source) => {
+      const matches = text.match(new RegExp(tokenPatternSource, 'g'));
+      if (matches) {
+        matches.forEach(email => {
+          if (!emails.has(email)) {
+            emails.set(email, source);
+          }
+        });
+      }
+    };
+
+    // Helper to check if element is visible
+    const isVisible = (element) => {
+      const style = window.getComputedStyle(element);
+      return style.display !== 'none' && 
+             style.visibility !== 'hidden' && 
+             style.opacity !== '0' &&
+             element.offsetWidth > 0 &&
+             element.offsetHeight > 0;
+    };
+
+    // 1. Check footer elements first
+    const footerElements = document.querySelectorAll('footer, [class*="footer"], [id*="footer"]');
+    footerElements.forEach(footer => {
+      if (isVisible(footer)) {
+        extractEmailFromText(footer.textContent, 'footer');
+      }
+    });
+
+    // 2. Check contact sections
+    const contactSelectors = [
+      '[class*="contact"]',
+      '[id*="contact"]',
+      '[class*="email"]',
+      '[id*="email"]',
+      '.address',
+      '.info',
+      '.reach-us',
+      '.get-in-touch',
+      '[class*="support"]',
+      '[class*="help"]'
+    ];
+    
+    contactSelectors.forEach(selector => {
+      const elements = document.querySelectorAll(selector);
+      elements.forEach(element => {
+        if (isVisible(element)) {
+          extractEmailFromText(element.textContent, 'page-text');
+        }
+      });
+    });
+
+    // 3. Check data attributes
+    document.querySelectorAll('[data-email], [data-mail], [data-contact]').forEach(element => {
+      const dataEmail = element.getAttribute('data-email') || 
+                       element.getAttribute('data-mail') ||
+                       element.getAttribute('data-contact');
+      if (dataEmail) {
+        extractEmailFromText(dataEmail, 'data-attribute');
+      }
+    });
+
+    // 4. Check elements with common email-related text
+    const emailKeywords = ['email', 'mail', 'contact', 'support', 'info', 'help'];
+    
+    // Get all text-containing elements instead of using the invalid :contains selector
+    const allElements = document.querySelectorAll('a, p, span, div, h1, h2, h3, h4, h5, h6, label, button');
+    emailKeywords.forEach(keyword => {
+      allElements.forEach(element => {
+        if (isVisible(element) && element.textContent.toLowerCase().includes(keyword)) {
+          extractEmailFromText(element.textContent, 'page-text');
+        }
+      });
+    });
+
+    // 5. Check for obfuscated emails in scripts
+    document.querySelectorAll('script').forEach(script => {
+      const content = script.textContent;
+      if (content && (content.includes('@') || content.includes('mailto:'))) {
+        extractEmailFromText(content, 'script');
+      }
+    });
+
+    // 6. Check meta tags
+    document.querySelectorAll('meta').forEach(meta => {
+      const content = meta.getAttribute('content');
+      if (content) {
+        extractEmailFromText(content, 'page-source');
+      }
+    });
+
+    return Array.from(emails.entries()).map(([email, source]) => ({ email, source }));
+  }, EMAIL_TOKEN_PATTERN.source);
+
+  addFoundEmails(addCandidate, jsEmails);
+  
+  // Try to find social media links by looking for SVG icons or common classes
+  console.log('Looking for social media icons...');
+  
+  // Use page.evaluate to find social media icons
+  const iconSocialInfo = await page.evaluate(() => {
+    const result = { twitter: '', linkedin: '' };
+    
+    // Look for elements that might contain social media icons
+    const potentialSocialElements = Array.from(document.querySelectorAll('a, button, div, span, i'));
+    
+    for (const element of potentialSocialElements) {
+      const html = element.outerHTML.toLowerCase();
+      const href = element.getAttribute('href') || '';
+      const className = element.className || '';
+      
+      // Check for Twitter/X
+      if (!result.twitter && 
+          (html.includes('twitter') || 
+           html.includes('x-twitter') || 
+           html.includes('fa-twitter') || 
+           html.includes('icon-twitter') ||
+           html.includes('twitter-icon') ||
+           html.includes('twitter-logo') ||
+           html.includes('twitter.svg') ||
+           html.includes('x.svg') ||
+           html.includes('x-logo') ||
+           html.includes('x-icon') ||
+           className.includes('twitter') ||
+           className.includes('x-twitter') ||
+           href.includes('twitter.com') ||
+           href.includes('x.com'))) {
+        
+        if (element.tagName === 'A' && element.href) {
+          result.twitter = element.href;
+        } else {
+          // Try to find parent or child link
+          const parentLink = element.closest('a');
+          const childLink = element.querySelector('a');
+          
+          if (parentLink && parentLink.href) {
+            result.twitter = parentLink.href;
+          } else if (childLink && childLink.href) {
+            result.twitter = childLink.href;
+          }
+        }
+      }
+      
+      // Check for LinkedIn
+      if (!result.linkedin && 
+          (html.includes('linkedin') || 
+           html.includes('fa-linkedin') || 
+           html.includes('icon-linkedin') ||
+           html.includes('linkedin-icon') ||
+           html.includes('linkedin-logo') ||
+           html.includes('linkedin.svg') ||
+           className.includes('linkedin') ||
+           href.includes('linkedin.com'))) {
+        
+        if (element.tagName === 'A' && element.href) {
+          result.linkedin = element.href;
+        } else {
+          // Try to find parent or child link
+          const parentLink = element.closest('a');
+          const childLink = element.querySelector('a');
+          
+          if (parentLink && parentLink.href) {
+            result.linkedin = parentLink.href;
+          } else if (childLink && childLink.href) {
+            result.linkedin = childLink.href;
+          }
+        }
+      }
+    }
+    
+    return result;
+  });
+  
+  if (iconSocialInfo.twitter) {
+    addCandidate('twitter', extractSocialHandle(iconSocialInfo.twitter, ['twitter.com', 'x.com']), 'icon');
+  }
+  if (iconSocialInfo.linkedin) {
+    addCandidate('linkedin', iconSocialInfo.linkedin, 'icon');
+  }
+  
+  // Look for common patterns in the DOM: emails in scripts and social links in list items
+  console.log('Trying additional DOM patterns for contact info...');
+  
+  const domContactInfo = await page.evaluate((tokenPatternSource) => {
+    const result = { emails: [], twitter: '', linkedin: '' };
+    
+    // Check for obfuscated emails (common technique to avoid scrapers)
+    const scriptTags = document.querySelectorAll('script');
+    for (const script of scriptTags) {
+      const content = script.textContent || '';
+      if (content.includes('mailto:') || content.includes('@')) {
+        const emailMatch = content.match(new RegExp(tokenPatternSource));
+        if (emailMatch) {
+          result.emails.push(emailMatch[0]);
+        }
+      }
+    }
+    
+    // Look for social media in list items (common pattern in footers)
+    const listItems = document.querySelectorAll('li');
+    for (const item of listItems) {
+      const text = item.textContent.toLowerCase();
+      const html = item.innerHTML.toLowerCase();
+      
+      // Check for links inside the list item
+      const link = item.querySelector('a');
+      if (link && link.href) {
+        if ((text.includes('twitter') || html.includes('twitter') || 
+             link.href.includes('twitter.com') || link.href.includes('x.com')) && 
+            !result.twitter) {
+          result.twitter = link.href;
+        } else if ((text.includes('linkedin') || html.includes('linkedin') || 
+                   link.href.includes('linkedin.com')) && 
+                  !result.linkedin) {
+          result.linkedin = link.href;
+        }
+      }
+    }
+    
+    return result;
+  }, EMAIL_TOKEN_PATTERN.source);
+  
+  addFoundEmails(addCandidate, domContactInfo.emails.map(scriptEmail => ({ email: scriptEmail, source: 'script' })));
+  if (domContactInfo.twitter) {
+    addCandidate('twitter', extractSocialHandle(domContactInfo.twitter, ['twitter.com', 'x.com']), 'page-link');
+  }
+  if (domContactInfo.linkedin) {
+    addCandidate('linkedin', domContactInfo.linkedin, 'page-link');
+  }
+  
+  // Try to find a common inbox of the site's own domain in the page text
+  if (!pickBestContact(candidates, 'email') && pageUrl) {
+    try {
+      const domain = new URL(pageUrl).hostname.replace('www.', '');
+      
+      // Common email patterns
+      const commonEmails = [
+        `info@${domain}`,
+        `contact@${domain}`,
+        `hello@${domain}`,
+        `support@${domain}`
+      ];
+      
+      console.log(`Trying common email patterns for domain ${domain}`);
+      
+      // Check if any of these emails are mentioned on the page
+      const pageText = await page.evaluate(() => document.body.innerText);
+      for (const potentialEmail of commonEmails) {
+        if (pageText.includes(potentialEmail)) {
+          addCandidate('email', potentialEmail, 'page-text');
+        }
+      }
+    } catch (error) {
+      console.error(`Error extracting email from domain: ${error.message}`);
+    }
+  }
+  
+  if (!pickBestContact(candidates, 'contact_page')) {
+    console.log('Looking for website URL in page content...');
+    
+    // Try to find the actual product website using more precise methods
+    let website = await page.evaluate(() => {
+      // Method 1: Look for official website link in the page header
+      const headerLinks = Array.from(document.querySelectorAll('header a')).filter(a => {
+        const text = a.textContent.toLowerCase();
+        return text.includes('website') || text.includes('visit site');
+      });
+      
+      // Method 2: Look for canonical link
+      const canonicalLink = document.querySelector('link[rel="canonical"]');
+      
+      // Method 3: Look for Open Graph URL
+      const ogUrl = document.querySelector('meta[property="og:url"]');
+
+      // Method 4: Look for official domain in meta tags
+      const metaUrl = document.querySelector('meta[name="url"], meta[name="site"]');
+
+      return headerLinks[0]?.href || 
+             canonicalLink?.href || 
+             ogUrl?.content ||
+             metaUrl?.content ||
+             '';
+    });
+
+    // Fallback: Use domain from page URL if no other found
+    if (!website && pageUrl) {
+      try {
+        website = new URL(pageUrl).origin;
+      } catch (error) {
+        console.log('Error creating URL from origin:', error.message);
+      }
+    }
+    
+    addCandidate('contact_page', website, 'page-source');
+  }
+  
+  // Validate contact page candidates to prevent common false positives
+  for (const candidate of getContactCandidates(candidates, 'contact_page')) {
+    const suspectDomain = FALSE_POSITIVE_DOMAINS.find(fp => candidate.value.toLowerCase().includes(fp));
+    if (!suspectDomain) continue;
+    
+    console.log(`Detected likely false positive website URL: ${candidate.value}`);
+    
+    // Only keep if there's strong evidence it's the actual website
+    const isActualWebsite = await page.evaluate((domain) => {
+      // Count mentions of the domain in prominent elements
+      const headerElements = document.querySelectorAll('header, nav, .header, .navbar, .navigation');
+      let prominentMentions = 0;
+      
+      headerElements.forEach(el => {
+        if (el.innerHTML.toLowerCase().includes(domain)) {
+          prominentMentions++;
+        }
+      });
+      
+      // Check if it appears in a prominent link
+      const prominentLinks = Array.from(document.querySelectorAll('a[href*="' + domain + '"]'))
+        .filter(a => {
+          const rect = a.getBoundingClientRect();
+          return rect.top < 500; // In the top part of the page
+        });
+      
+      return prominentMentions >= 2 || prominentLinks.length >= 2;
+    }, suspectDomain);
+    
+    if (!isActualWebsite) {
+      console.log('Rejected false positive website URL');
+      candidates.splice(candidates.indexOf(candidate), 1);
+    }
+  }
+  
+  return { ...summarizeContactCandidates(candidates), contactForms, people };
+}
+
+/**
+ * Extract contact info from static HTML fetched without a browser. Runs the
+ * same markup passes as extractContactInfoFromPage, with text searches done on
+ * the markup instead of the rendered page.
+ * @param {string} html - Page HTML
+ * @param {string} pageUrl - URL of the page
+ * @param {Object} options - Extraction options
+ * @param {boolean} options.isContactPage - Whether the page is the site's contact page
+ * @param {boolean} options.isTeamPage - Whether the page is a team or about page, whose person cards are read
+ * @returns {Object} - Contact information ({email, twitter, linkedin, website, phone, address, country, candidates, contactForms, people})
+ */
+function extractContactInfoFromHtml(html, pageUrl, options = {}) {
+  const $ = cheerio.load(html || '');
+  const candidates = [];
+  const addCandidate = createCandidateAdder(candidates, pageUrl, options);
+  
+  collectMarkupCandidates($, pageUrl, addCandidate);
+  collectPhoneAndAddressCandidates($, pageUrl, addCandidate, options);
+  const contactForms = detectContactForms($, pageUrl);
+  const people = options.isTeamPage ? extractPersonCards($, pageUrl) : [];
+  
+  // Addresses in scripts, data attributes and meta tags, then in the footer and the rest of the text
+  const textEmails = [];
+  const collectEmails = (text, source) => {
+    findEmailsInText(text).forEach(email => textEmails.push({ email: email.toLowerCase(), source }));
+  };
+  
+  $('script').each((_, script) => collectEmails($(script).contents().text(), 'script'));
+  $('[data-email], [data-mail], [data-contact]').each((_, element) => {
+    collectEmails($(element).attr('data-email') || $(element).attr('data-mail') || $(element).attr('data-contact') || '', 'data-attribute');
+  });
+  $('meta[content]').each((_, meta) => collectEmails($(meta).attr('content'), 'page-source'));
+  
+  $('script, style, noscript, template').remove();
+  $('footer, [class*="footer"], [id*="footer"]').each((_, footer) => collectEmails($(footer).text(), 'footer'));
+  collectEmails($('body').text(), 'page-text');
+  
+  addFoundEmails(addCandidate, textEmails);
+  
+  // Try to find a common inbox of the site's own domain in the page text
+  if (!pickBestContact(candidates, 'email') && pageUrl) {
+    try {
+      const domain = new URL(pageUrl).hostname.replace('www.', '');
+      const pageText = $('body').text();
+      for (const potentialEmail of [`info@${domain}`, `contact@${domain}`, `hello@${domain}`, `support@${domain}`]) {
+        if (pageText.includes(potentialEmail)) {
+          addCandidate('email', potentialEmail, 'page-text');
+        }
+      }
+    } catch (error) {
+      console.error(`Error extracting email from domain: ${error.message}`);
+    }
+  }
+  
+  if (!pickBestContact(candidates, 'contact_page')) {
+    let website = $('link[rel="canonical"]').attr('href') || $('meta[property="og:url"]').attr('content') || '';
+    try {
+      website = website ? new URL(website, pageUrl).href : new URL(pageUrl).origin;
+    } catch (error) {
+      website = '';
+    }
+    addCandidate('contact_page', website, 'page-source');
+  }
   
-  // Initialize contact info
-  let email = '';
-  let twitter = '';
-  let linkedin = '';
-  let website = '';
+  // Without layout information, a suspect domain is only kept if the header links to it repeatedly
+  for (const candidate of getContactCandidates(candidates, 'contact_page')) {
+    const suspectDomain = FALSE_POSITIVE_DOMAINS.find(fp => candidate.value.toLowerCase().includes(fp));
+    if (!suspectDomain) continue;
+    
+    const headerLinks = $('header, nav, .header, .navbar, .navigation').find(`a[href*="${suspectDomain}"]`).length;
+    if (headerLinks < 2) {
+      console.log(`Rejected false positive website URL: ${candidate.value}`);
+      candidates.splice(candidates.indexOf(candidate), 1);
+    }
+  }
   
+  return { ...summarizeContactCandidates(candidates), contactForms, people };
+}
+
+/**
+ * Create the function that adds a sighting on one page to a candidate list.
+ * On a contact page, finds other than the stronger mailto, tel and structured
+ * data signals count as contact page finds. Page source finds, such as the
+ * page's own URL used as a fallback contact page, stay as weak as they are.
+ * @param {Array} candidates - Candidate list to add to
+ * @param {string} pageUrl - URL of the page the sightings are on
+ * @param {Object} options - Extraction options ({isContactPage})
+ * @returns {Function} - addCandidate(type, value, source, confidence)
+ */
+function createCandidateAdder(candidates, pageUrl, options = {}) {
+  return (type, value, source, confidence) => {
+    const effectiveSource = options.isContactPage && !['mailto', 'tel-link', 'json-ld', 'meta-tag', 'page-source'].includes(source) ? 'contact-page' : source;
+    addContactCandidate(candidates, {
+      type,
+      value,
+      source: effectiveSource,
+      pageUrl,
+      confidence: effectiveSource === source ? confidence : undefined
+    });
+  };
+}
+
+/**
+ * Collect candidates from the page markup alone: mailto and social links (footer
+ * and contact sections first), structured data (JSON-LD, OpenGraph and Twitter
+ * card tags) and obfuscated addresses
+ * @param {Object} $ - Cheerio instance of the page
+ * @param {string} pageUrl - URL of the page
+ * @param {Function} addCandidate - Candidate adder from createCandidateAdder
+ */
+function collectMarkupCandidates($, pageUrl, addCandidate) {
   // Look for footer sections
   const footerSelectors = [
     'footer', 
@@ -374,34 +978,30 @@ async function extractContactInfoFromPage(page) {
     '.contact-info-detail'
   ];
   
-  // First try to find links in the footer
-  let socialLinks = [];
+  // Links in footer and contact sections first, then every other link on the page
+  const processedLinks = new Set();
+  const pageLinks = [];
   
   footerSelectors.forEach(selector => {
-    const footerElement = $(selector);
-    if (footerElement.length > 0) {
-      console.log(`Found footer element with selector: ${selector}`);
-      // Find all links in the footer
-      const links = footerElement.find('a');
-      links.each((_, link) => {
-        socialLinks.push($(link));
-      });
-    }
+    $(selector).find('a').each((_, link) => {
+      if (!processedLinks.has(link)) {
+        processedLinks.add(link);
+        pageLinks.push({ link: $(link), source: 'footer' });
+      }
+    });
   });
   
-  // If no links found in footer, look throughout the page
-  if (socialLinks.length === 0) {
-    console.log('No footer links found, searching entire page');
-    const allLinks = $('a');
-    allLinks.each((_, link) => {
-      socialLinks.push($(link));
-    });
-  }
+  $('a').each((_, link) => {
+    if (!processedLinks.has(link)) {
+      processedLinks.add(link);
+      pageLinks.push({ link: $(link), source: 'page-link' });
+    }
+  });
   
-  console.log(`Found ${socialLinks.length} links to process`);
+  console.log(`Found ${pageLinks.length} links to process`);
   
   // Process all links
-  for (const link of socialLinks) {
+  for (const { link, source } of pageLinks) {
     const href = link.attr('href');
     const text = link.text().toLowerCase();
     const html = link.html() || '';
@@ -409,536 +1009,130 @@ async function extractContactInfoFromPage(page) {
     if (!href) continue;
     
     // Check for email links
-    if (href.startsWith('mailto:') && !email) {
-      email = href.replace('mailto:', '').trim().split('?')[0]; // Remove any parameters
-      console.log(`Found email: ${email}`);
+    if (href.startsWith('mailto:')) {
+      addCandidate('email', parseEmail(href), 'mailto');
+      continue;
     }
     
     // Check for Twitter/X links
-    if ((href.includes('twitter.com') || href.includes('x.com') || 
-         text.includes('twitter') || text.includes('x.com') ||
-         html.includes('twitter') || html.includes('x-twitter') ||
-         html.includes('fa-twitter') || html.includes('icon-twitter') ||
-         html.includes('twitter-icon') || html.includes('twitter-logo') ||
-         html.includes('twitter.svg') || html.includes('x.svg') ||
-         html.includes('x-logo') || html.includes('x-icon')) && !twitter) {
-      twitter = extractSocialHandle(href, ['twitter.com', 'x.com']);
-      console.log(`Found Twitter: ${twitter}`);
+    if (href.includes('twitter.com') || href.includes('x.com') || 
+        text.includes('twitter') || text.includes('x.com') ||
+        html.includes('twitter') || html.includes('x-twitter') ||
+        html.includes('fa-twitter') || html.includes('icon-twitter') ||
+        html.includes('twitter-icon') || html.includes('twitter-logo') ||
+        html.includes('twitter.svg') || html.includes('x.svg') ||
+        html.includes('x-logo') || html.includes('x-icon')) {
+      addCandidate('twitter', extractSocialHandle(href, ['twitter.com', 'x.com']), source);
     }
     
     // Check for LinkedIn links
-    if ((href.includes('linkedin.com') || text.includes('linkedin') ||
-         html.includes('linkedin') || html.includes('fa-linkedin') ||
-         html.includes('icon-linkedin') || html.includes('linkedin-icon') ||
-         html.includes('linkedin-logo') || html.includes('linkedin.svg')) && !linkedin) {
-      linkedin = href;
-      console.log(`Found LinkedIn: ${linkedin}`);
+    if (href.includes('linkedin.com') || text.includes('linkedin') ||
+        html.includes('linkedin') || html.includes('fa-linkedin') ||
+        html.includes('icon-linkedin') || html.includes('linkedin-icon') ||
+        html.includes('linkedin-logo') || html.includes('linkedin.svg')) {
+      addCandidate('linkedin', href, source);
     }
     
     // Check for other website links that might be contact pages
-    if ((href.includes('/contact') || 
-         href.includes('/about') || 
-         href.includes('/support') || 
-         href.includes('/help') || 
-         text.includes('contact') || 
-         text.includes('get in touch') || 
-         text.includes('reach out') || 
-         text.includes('support')) && !website) {
+    if (href.includes('/contact') || 
+        href.includes('/about') || 
+        href.includes('/support') || 
+        href.includes('/help') || 
+        text.includes('contact') || 
+        text.includes('get in touch') || 
+        text.includes('reach out') || 
+        text.includes('support')) {
       // Make sure it's a full URL
-      if (href.startsWith('http')) {
-        website = href;
-      } else if (href.startsWith('/')) {
-        // Relative URL, convert to absolute
+      if (href.startsWith('http') || href.startsWith('/')) {
         try {
-          const urlObj = new URL(page.url());
-          website = `${urlObj.origin}${href}`;
+          addCandidate('contact_page', new URL(href, pageUrl).href, source);
         } catch (error) {
           console.error(`Error creating absolute URL: ${error.message}`);
-          website = href; // Use the relative URL as fallback
         }
       }
-      console.log(`Found contact page: ${website}`);
     }
   }
   
-  // Enhanced email extraction
-  if (!email) {
-    console.log('Looking for email with enhanced extraction...');
-    
-    // Use JavaScript to find emails in various page elements
-    const jsEmails = await page.evaluate(() => {
-      const emails = new Set();
-      
-      // Helper function to extract email from text
-      const extractEmailFromText = (text) => {
-        const matches = text.match(/([a-zA-Z0-9._-]+@[a-zA-Z0-9._-]+\.[a-zA-Z0-9._-]+)/gi);
-        if (matches) {
-          matches.forEach(email => emails.add(email.toLowerCase()));
-        }
-      };
-
-      // Helper to check if element is visible
-      const isVisible = (element) => {
-        const style = window.getComputedStyle(element);
-        return style.display !== 'none' && 
-               style.visibility !== 'hidden' && 
-               style.opacity !== '0' &&
-               element.offsetWidth > 0 &&
-               element.offsetHeight > 0;
-      };
-
-      // 1. Check footer elements first
-      const footerElements = document.querySelectorAll('footer, [class*="footer"], [id*="footer"]');
-      footerElements.forEach(footer => {
-        if (isVisible(footer)) {
-          extractEmailFromText(footer.textContent);
-        }
-      });
-
-      // 2. Check contact sections
-      const contactSelectors = [
-        '[class*="contact"]',
-        '[id*="contact"]',
-        '[class*="email"]',
-        '[id*="email"]',
-        '.address',
-        '.info',
-        '.reach-us',
-        '.get-in-touch',
-        '[class*="support"]',
-        '[class*="help"]'
-      ];
-      
-      contactSelectors.forEach(selector => {
-        const elements = document.querySelectorAll(selector);
-        elements.forEach(element => {
-          if (isVisible(element)) {
-            extractEmailFromText(element.textContent);
-          }
-        });
-      });
-
-      // 3. Check data attributes
-      document.querySelectorAll('[data-email], [data-mail], [data-contact]').forEach(element => {
-        const dataEmail = element.getAttribute('data-email') || 
-                         element.getAttribute('data-mail') ||
-                         element.getAttribute('data-contact');
-        if (dataEmail) {
-          extractEmailFromText(dataEmail);
-        }
-      });
-
-      // 4. Check elements with common email-related text
-      const emailKeywords = ['email', 'mail', 'contact', 'support', 'info', 'help'];
-      
-      // Get all text-containing elements instead of using the invalid :contains selector
-      const allElements = document.querySelectorAll('a, p, span, div, h1, h2, h3, h4, h5, h6, label, button');
-      emailKeywords.forEach(keyword => {
-        allElements.forEach(element => {
-          if (isVisible(element) && element.textContent.toLowerCase().includes(keyword)) {
-            extractEmailFromText(element.textContent);
-          }
-        });
-      });
-
-      // 5. Check for obfuscated emails in scripts
-      document.querySelectorAll('script').forEach(script => {
-        const content = script.textContent;
-        if (content && (content.includes('@') || content.includes('mailto:'))) {
-          extractEmailFromText(content);
-        }
-      });
-
-      // 6. Check meta tags
-      document.querySelectorAll('meta').forEach(meta => {
-        const content = meta.getAttribute('content');
-        if (content) {
-          extractEmailFromText(content);
-        }
-      });
-
-      // Filter and prioritize emails
-      return Array.from(emails).filter(email => {
-        return !email.includes('example.com') &&
-               !email.includes('yourdomain.com') &&
-               !email.includes('domain.com') &&
-               !email.includes('test@') &&
-               !email.includes('user@') &&
-               !email.includes('email@') &&
-               email.length < 100;
-      });
-    });
-
-    if (jsEmails && jsEmails.length > 0) {
-      // Prioritize business emails over generic ones
-      const businessEmails = jsEmails.filter(email =>
-        !email.includes('gmail.com') &&
-        !email.includes('yahoo.com') &&
-        !email.includes('hotmail.com') &&
-        !email.includes('outlook.com') &&
-        !email.includes('icloud.com') &&
-        !email.includes('aol.com') &&
-        !email.includes('protonmail.com') &&
-        !email.includes('mail.com')
-      );
-
-      if (businessEmails.length > 0) {
-        // Further prioritize common business email patterns
-        const priorityEmails = businessEmails.filter(email =>
-          email.startsWith('contact@') ||
-          email.startsWith('info@') ||
-          email.startsWith('hello@') ||
-          email.startsWith('support@') ||
-          email.startsWith('help@') ||
-          email.startsWith('sales@') ||
-          email.startsWith('business@') ||
-          email.startsWith('team@')
-        );
-
-        email = priorityEmails.length > 0 ? priorityEmails[0] : businessEmails[0];
-        console.log('Found business email:', email);
-      } else {
-        email = jsEmails[0];
-        console.log('Found generic email:', email);
-      }
-    }
+  // Structured data often lists the company email and social profiles
+  for (const contact of extractStructuredData($, pageUrl).contacts) {
+    addCandidate(contact.type, contact.value, contact.source, contact.confidence);
   }
   
-  // Try to find social media links by looking for SVG icons or common classes
-  if (!twitter || !linkedin) {
-    console.log('Looking for social media icons...');
-    
-    // Use page.evaluate to find social media icons
-    const iconSocialInfo = await page.evaluate(() => {
-      const result = { twitter: '', linkedin: '' };
-      
-      // Look for elements that might contain social media icons
-      const potentialSocialElements = Array.from(document.querySelectorAll('a, button, div, span, i'));
-      
-      for (const element of potentialSocialElements) {
-        const html = element.outerHTML.toLowerCase();
-        const href = element.getAttribute('href') || '';
-        const className = element.className || '';
-        
-        // Check for Twitter/X
-        if (!result.twitter && 
-            (html.includes('twitter') || 
-             html.includes('x-twitter') || 
-             html.includes('fa-twitter') || 
-             html.includes('icon-twitter') ||
-             html.includes('twitter-icon') ||
-             html.includes('twitter-logo') ||
-             html.includes('twitter.svg') ||
-             html.includes('x.svg') ||
-             html.includes('x-logo') ||
-             html.includes('x-icon') ||
-             className.includes('twitter') ||
-             className.includes('x-twitter') ||
-             href.includes('twitter.com') ||
-             href.includes('x.com'))) {
-          
-          if (element.tagName === 'A' && element.href) {
-            result.twitter = element.href;
-          } else {
-            // Try to find parent or child link
-            const parentLink = element.closest('a');
-            const childLink = element.querySelector('a');
-            
-            if (parentLink && parentLink.href) {
-              result.twitter = parentLink.href;
-            } else if (childLink && childLink.href) {
-              result.twitter = childLink.href;
-            }
-          }
-        }
-        
-        // Check for LinkedIn
-        if (!result.linkedin && 
-            (html.includes('linkedin') || 
-             html.includes('fa-linkedin') || 
-             html.includes('icon-linkedin') ||
-             html.includes('linkedin-icon') ||
-             html.includes('linkedin-logo') ||
-             html.includes('linkedin.svg') ||
-             className.includes('linkedin') ||
-             href.includes('linkedin.com'))) {
-          
-          if (element.tagName === 'A' && element.href) {
-            result.linkedin = element.href;
-          } else {
-            // Try to find parent or child link
-            const parentLink = element.closest('a');
-            const childLink = element.querySelector('a');
-            
-            if (parentLink && parentLink.href) {
-              result.linkedin = parentLink.href;
-            } else if (childLink && childLink.href) {
-              result.linkedin = childLink.href;
-            }
-          }
-        }
-      }
-      
-      return result;
-    });
-    
-    // Update social info with icon results
-    if (iconSocialInfo.twitter && !twitter) {
-      twitter = extractSocialHandle(iconSocialInfo.twitter, ['twitter.com', 'x.com']);
-      console.log(`Found Twitter from icon: ${twitter}`);
-    }
-    
-    if (iconSocialInfo.linkedin && !linkedin) {
-      linkedin = iconSocialInfo.linkedin;
-      console.log(`Found LinkedIn from icon: ${linkedin}`);
-    }
-  }
-  
-  // If still no contact info found, try using JavaScript to extract from the page
-  if (!email && !twitter && !linkedin && !website) {
-    console.log('No contact info found with HTML parsing, trying JavaScript extraction...');
-    
-    // Use page.evaluate to find contact info
-    const jsContactInfo = await page.evaluate(() => {
-      const result = { email: '', twitter: '', linkedin: '', website: '' };
-      
-      // Look for email addresses in the page
-      const emailRegex = /\b([a-zA-Z0-9._-]+@[a-zA-Z0-9._-]+\.[a-zA-Z0-9._-]+)\b/gi;
-      const pageText = document.body.innerText;
-      const emailMatches = pageText.match(emailRegex);
-      
-      if (emailMatches && emailMatches.length > 0) {
-        result.email = emailMatches[0];
-      }
-      
-      // Look for social links
-      const links = Array.from(document.querySelectorAll('a[href]'));
-      
-      for (const link of links) {
-        const href = link.href.toLowerCase();
-        
-        if (href.includes('twitter.com') || href.includes('x.com')) {
-          result.twitter = href;
-        } else if (href.includes('linkedin.com')) {
-          result.linkedin = href;
-        } else if (href.includes('contact') || link.innerText.toLowerCase().includes('contact')) {
-          result.website = href;
-        }
-      }
-      
-      // Try to extract email from data attributes
-      const elementsWithDataEmail = document.querySelectorAll('[data-email], [data-mail]');
-      for (const element of elementsWithDataEmail) {
-        const dataEmail = element.getAttribute('data-email') || element.getAttribute('data-mail');
-        if (dataEmail && dataEmail.includes('@') && !result.email) {
-          result.email = dataEmail;
-          break;
-        }
-      }
-      
-      return result;
-    });
-    
-    // Update contact info with JavaScript results
-    if (jsContactInfo.email && !email) {
-      email = jsContactInfo.email;
-      console.log(`Found email with JavaScript: ${email}`);
-    }
-    
-    if (jsContactInfo.twitter && !twitter) {
-      twitter = extractSocialHandle(jsContactInfo.twitter, ['twitter.com', 'x.com']);
-      console.log(`Found Twitter with JavaScript: ${twitter}`);
-    }
-    
-    if (jsContactInfo.linkedin && !linkedin) {
-      linkedin = jsContactInfo.linkedin;
-      console.log(`Found LinkedIn with JavaScript: ${linkedin}`);
-    }
-    
-    if (jsContactInfo.website && !website) {
-      website = jsContactInfo.website;
-      console.log(`Found contact page with JavaScript: ${website}`);
-    }
+  // Addresses hidden with Cloudflare email protection, reversed text or "[at]"/"[dot]"
+  for (const { email, method } of findObfuscatedEmails($)) {
+    console.log(`Decoded obfuscated email (${method}): ${email}`);
+    addCandidate('email', email, 'obfuscated');
   }
+}
+
+/**
+ * Collect phone numbers and postal addresses: tel: links, schema.org and
+ * <address> markup, numbers in the page text and, on contact and imprint
+ * pages, addresses in the page text. Numbers without a country code are read
+ * in the country of the page's address, language or domain.
+ * @param {Object} $ - Cheerio instance of the page
+ * @param {string} pageUrl - URL of the page
+ * @param {Function} addCandidate - Candidate adder from createCandidateAdder
+ * @param {Object} options - Extraction options ({isContactPage})
+ */
+function collectPhoneAndAddressCandidates($, pageUrl, addCandidate, options = {}) {
+  const pageCountry = getCountryHint($, pageUrl);
+  const addresses = findPostalAddresses($, { countryHint: pageCountry, isContactPage: options.isContactPage });
+  addresses.forEach(({ address, source }) => addCandidate('postal_address', address, source));
   
-  // Try one more approach - look for common patterns in the DOM
-  if (!email || !twitter || !linkedin) {
-    console.log('Trying additional DOM patterns for contact info...');
-    
-    const domContactInfo = await page.evaluate(() => {
-      const result = { email: '', twitter: '', linkedin: '' };
-      
-      // Check for obfuscated emails (common technique to avoid scrapers)
-      const scriptTags = document.querySelectorAll('script');
-      for (const script of scriptTags) {
-        const content = script.textContent || '';
-        if (content.includes('mailto:') || content.includes('@')) {
-          const emailMatch = content.match(/([a-zA-Z0-9._-]+@[a-zA-Z0-9._-]+\.[a-zA-Z0-9._-]+)/);
-          if (emailMatch && emailMatch[1] && !result.email) {
-            result.email = emailMatch[1];
-            break;
-          }
-        }
-      }
-      
-      // Look for social media in list items (common pattern in footers)
-      const listItems = document.querySelectorAll('li');
-      for (const item of listItems) {
-        const text = item.textContent.toLowerCase();
-        const html = item.innerHTML.toLowerCase();
-        
-        // Check for links inside the list item
-        const link = item.querySelector('a');
-        if (link && link.href) {
-          if ((text.includes('twitter') || html.includes('twitter') || 
-               link.href.includes('twitter.com') || link.href.includes('x.com')) && 
-              !result.twitter) {
-            result.twitter = link.href;
-          } else if ((text.includes('linkedin') || html.includes('linkedin') || 
-                     link.href.includes('linkedin.com')) && 
-                    !result.linkedin) {
-            result.linkedin = link.href;
-          }
-        }
-      }
-      
-      return result;
-    });
-    
-    // Update with DOM pattern results
-    if (domContactInfo.email && !email) {
-      email = domContactInfo.email;
-      console.log(`Found email from DOM patterns: ${email}`);
-    }
-    
-    if (domContactInfo.twitter && !twitter) {
-      twitter = extractSocialHandle(domContactInfo.twitter, ['twitter.com', 'x.com']);
-      console.log(`Found Twitter from DOM patterns: ${twitter}`);
-    }
-    
-    if (domContactInfo.linkedin && !linkedin) {
-      linkedin = domContactInfo.linkedin;
-      console.log(`Found LinkedIn from DOM patterns: ${linkedin}`);
-    }
-  }
+  const countryHint = (addresses.length > 0 && getAddressCountry(addresses[0].address)) || pageCountry;
   
-  // Try to extract email from the domain if we have a website URL
-  if (!email && page.url()) {
-    try {
-      const urlObj = new URL(page.url());
-      const domain = urlObj.hostname.replace('www.', '');
-      
-      // Common email patterns
-      const commonEmails = [
-        `info@${domain}`,
-        `contact@${domain}`,
-        `hello@${domain}`,
-        `support@${domain}`
-      ];
-      
-      console.log(`Trying common email patterns for domain ${domain}`);
-      
-      // Check if any of these emails are mentioned on the page
-      const pageText = await page.evaluate(() => document.body.innerText);
-      for (const potentialEmail of commonEmails) {
-        if (pageText.includes(potentialEmail)) {
-          email = potentialEmail;
-          console.log(`Found common email pattern: ${email}`);
-          break;
-        }
-      }
-    } catch (error) {
-      console.error(`Error extracting email from domain: ${error.message}`);
-    }
-  }
+  $('a[href^="tel:"]').each((_, link) => {
+    addCandidate('phone', normalizePhoneNumber($(link).attr('href'), countryHint), 'tel-link');
+  });
   
-  if (!website) {
-    console.log('Looking for website URL in page content...');
-    
-    // Try to find the actual product website using more precise methods
-    website = await page.evaluate(() => {
-      // Method 1: Look for official website link in the page header
-      const headerLinks = Array.from(document.querySelectorAll('header a')).filter(a => {
-        const text = a.textContent.toLowerCase();
-        return text.includes('website') || text.includes('visit site');
-      });
-      
-      // Method 2: Look for canonical link
-      const canonicalLink = document.querySelector('link[rel="canonical"]');
-      
-      // Method 3: Look for Open Graph URL
-      const ogUrl = document.querySelector('meta[property="og:url"]');
-
-      // Method 4: Look for official domain in meta tags
-      const metaUrl = document.querySelector('meta[name="url"], meta[name="site"]');
-
-      return headerLinks[0]?.href || 
-             canonicalLink?.href || 
-             ogUrl?.content ||
-             metaUrl?.content ||
-             '';
-    });
+  const $body = $('body').clone();
+  $body.find('script, style, noscript, template').remove();
+  findPhoneNumbersInText($body.text(), countryHint).forEach(phoneNumber => addCandidate('phone', phoneNumber, 'page-text'));
+}
 
-    // Fallback: Use domain from page URL if no other found
-    if (!website && page.url()) {
-      try {
-        const urlObj = new URL(page.url());
-        website = urlObj.origin;
-      } catch (error) {
-        console.log('Error creating URL from origin:', error.message);
-      }
-    }
-  }
-  
-  // Validate the website URL to prevent common false positives
-  if (website) {
-    // Create a list of known false positives
-    const falsePositives = [
-      'bebop.ai',
-      'lu.ma', 
-      'twitter.com', 
-      'x.com', 
-      'linkedin.com',
-      'facebook.com'
-    ];
-    
-    // Check if the website seems like a false positive
-    const lowercaseWebsite = website.toLowerCase();
-    const isFalsePositive = falsePositives.some(fp => lowercaseWebsite.includes(fp));
+/**
+ * Add addresses found in page text, leaving out invalid ones and placeholders.
+ * Their class is weighed in when the best email is picked.
+ * @param {Function} addCandidate - Candidate adder from createCandidateAdder
+ * @param {Array} emails - Possible addresses as found, with where they were seen ({email, source})
+ */
+function addFoundEmails(addCandidate, emails) {
+  for (const { email: rawEmail, source } of emails) {
+    const email = parseEmail(rawEmail);
+    if (!email || isPlaceholderEmail(email)) continue;
     
-    if (isFalsePositive) {
-      console.log(`Detected likely false positive website URL: ${website}`);
-      
-      // Only keep if there's strong evidence it's the actual website
-      const isActualWebsite = await page.evaluate((suspectDomain) => {
-        // Count mentions of the domain in prominent elements
-        const headerElements = document.querySelectorAll('header, nav, .header, .navbar, .navigation');
-        let prominentMentions = 0;
-        
-        headerElements.forEach(el => {
-          if (el.innerHTML.toLowerCase().includes(suspectDomain)) {
-            prominentMentions++;
-          }
-        });
-        
-        // Check if it appears in a prominent link
-        const prominentLinks = Array.from(document.querySelectorAll('a[href*="' + suspectDomain + '"]'))
-          .filter(a => {
-            const rect = a.getBoundingClientRect();
-            return rect.top < 500; // In the top part of the page
-          });
-        
-        return prominentMentions >= 2 || prominentLinks.length >= 2;
-      }, falsePositives.find(fp => lowercaseWebsite.includes(fp)));
-      
-      if (!isActualWebsite) {
-        console.log('Rejected false positive website URL');
-        website = '';
-      }
-    }
+    addCandidate('email', email, source);
   }
+}
+
+/**
+ * Build the contact info result from a candidate list: the best value of each
+ * type, the country of the company plus every candidate
+ * @param {Array} candidates - Contact candidates
+ * @returns {Object} - Contact information ({email, twitter, linkedin, website, phone, address, country, candidates})
+ */
+function summarizeContactCandidates(candidates) {
+  const bestValue = (type) => {
+    const best = pickBestContact(candidates, type);
+    return best ? best.value : '';
+  };
+  
+  const phone = bestValue('phone');
+  const address = bestValue('postal_address');
+  const bestEmail = pickBestEmail(candidates);
   
-  return { email, twitter, linkedin, website };
+  return {
+    email: bestEmail ? bestEmail.value : '',
+    twitter: bestValue('twitter'),
+    linkedin: bestValue('linkedin'),
+    website: bestValue('contact_page'),
+    phone,
+    address,
+    // The company's address says where it is; a phone number's calling code is the fallback
+    country: getAddressCountry(address) || getPhoneCountry(phone),
+    candidates
+  };
 }
 
 /**
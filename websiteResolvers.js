@@ -0,0 +1,293 @@
+// Website Resolvers Module
+// Registry of named strategies for finding a product's website on its Product
+// Hunt page. Each resolver returns candidate URLs with a confidence score
+// between 0 and 1; resolveProductWebsite runs them in order and picks the best.
+const { followRedirects, canonicalizeUrl, getRegistrableDomain } = require('./urlResolver');
+const { findEmailsInText } = require('./emailDecoder');
+const { isPlaceholderEmail } = require('./emailParser');
+
+// Candidates below this confidence are treated as noise and never chosen
+const MIN_CONFIDENCE = 0.2;
+
+/**
+ * Find the website from a "Visit" style button
+ * @param {Object} context - Resolver context ({browser, page, $})
+ * @returns {Array} - Candidates ({url, confidence})
+ */
+async function resolveFromVisitButton({ page }) {
+  const url = await page.evaluate(() => {
+    // Look for buttons with "Visit" text
+    const visitButtons = Array.from(document.querySelectorAll('a, button')).filter(el => {
+      const text = el.textContent.toLowerCase().trim();
+      return (text === 'visit' ||
+              text === 'visit website' ||
+              text === 'website' ||
+              text.includes('visit site') ||
+              text.includes('view site') ||
+              text.includes('open site') ||
+              text.includes('go to site')) &&
+             el.href &&
+             el.href.startsWith('http') &&
+             !el.href.includes('producthunt.com/r/') &&
+             !el.href.includes('lu.ma/producthunt');
+    });
+
+    return visitButtons.length > 0 ? visitButtons[0].href : '';
+  });
+
+  return url ? [{ url, confidence: 0.95 }] : [];
+}
+
+/**
+ * Find the website by following the first Product Hunt /r/ redirect link over HTTP
+ * @param {Object} context - Resolver context ({browser, page, $})
+ * @returns {Array} - Candidates ({url, confidence, redirectChain})
+ */
+async function resolveFromRedirectLink({ $ }) {
+  const redirectLinks = $('a[href^="https://www.producthunt.com/r/"]');
+  if (redirectLinks.length === 0) {
+    return [];
+  }
+
+  const redirectUrl = redirectLinks.first().attr('href');
+  console.log(`Found redirect URL: ${redirectUrl}`);
+
+  const { finalUrl, hops } = await followRedirects(redirectUrl);
+  const redirectChain = hops.map(hop => hop.url);
+
+  // Redirects back to Product Hunt or the generic lu.ma page are not the product
+  if (finalUrl.includes('producthunt.com') || finalUrl.includes('lu.ma/producthunt')) {
+    console.log(`Redirect resolved to internal/generic URL: ${finalUrl}, ignoring`);
+    return [];
+  }
+
+  return [{ url: finalUrl, confidence: 0.9, redirectChain }];
+}
+
+/**
+ * Find the website from a "Get it", "Try it" or download style button
+ * @param {Object} context - Resolver context ({browser, page, $})
+ * @returns {Array} - Candidates ({url, confidence})
+ */
+async function resolveFromCallToAction({ page }) {
+  const url = await page.evaluate(() => {
+    const getItButtons = Array.from(document.querySelectorAll('a, button')).filter(el => {
+      const text = el.textContent.toLowerCase().trim();
+      return (text === 'get it' ||
+              text === 'get' ||
+              text === 'try' ||
+              text === 'try it' ||
+              text === 'try it free' ||
+              text === 'try for free' ||
+              text === 'download' ||
+              text === 'download now' ||
+              text === 'install' ||
+              text === 'install now' ||
+              text === 'sign up' ||
+              text === 'signup' ||
+              text === 'join' ||
+              text === 'join now' ||
+              text === 'launch' ||
+              text === 'launch app' ||
+              text.includes('download') ||
+              text.includes('try it') ||
+              text.includes('get it') ||
+              text.includes('sign up') ||
+              text.includes('install')) &&
+             el.href &&
+             el.href.startsWith('http') &&
+             !el.href.includes('producthunt.com') &&
+             !el.href.includes('lu.ma/producthunt');
+    });
+
+    return getItButtons.length > 0 ? getItButtons[0].href : '';
+  });
+
+  return url ? [{ url, confidence: 0.7 }] : [];
+}
+
+/**
+ * Take the shortest external link that isn't social media or a generic host
+ * @param {Object} context - Resolver context ({browser, page, $})
+ * @returns {Array} - Candidates ({url, confidence})
+ */
+async function resolveFromExternalLinks({ page }) {
+  const urls = await page.evaluate(() => {
+    const externalLinks = Array.from(document.querySelectorAll('a[href^="http"]')).filter(a => {
+      const href = a.href.toLowerCase();
+      // Exclude common social media and generic sites
+      return !href.includes('producthunt.com') &&
+             !href.includes('lu.ma/producthunt') &&
+             !href.includes('twitter.com') &&
+             !href.includes('x.com') &&
+             !href.includes('linkedin.com') &&
+             !href.includes('facebook.com') &&
+             !href.includes('instagram.com') &&
+             !href.includes('youtube.com/channel/') &&  // Exclude generic YouTube channels
+             !href.includes('youtube.com/user/') &&     // Exclude generic YouTube users
+             !href.includes('github.com/') &&           // Exclude generic GitHub links
+             !href.includes('medium.com/') &&           // Exclude generic Medium links
+             !href.includes('discord.gg/') &&           // Exclude generic Discord links
+             !href.includes('t.me/');                   // Exclude generic Telegram links
+    });
+
+    // Shorter URLs are often the main domain
+    return externalLinks.map(a => a.href).sort((a, b) => a.length - b.length);
+  });
+
+  // The shortest link is the best guess, the rest are kept for auditing
+  return urls.slice(0, 3).map((url, index) => ({ url, confidence: index === 0 ? 0.5 : 0.3 }));
+}
+
+/**
+ * Look for website mentions in the page text. A domain that is only mentioned
+ * in passing (e.g. an ad or a comparison) is scored below MIN_CONFIDENCE.
+ * @param {Object} context - Resolver context ({browser, page, $})
+ * @returns {Array} - Candidates ({url, confidence})
+ */
+async function resolveFromTextPatterns({ page }) {
+  const match = await page.evaluate(() => {
+    const pageText = document.body.innerText;
+
+    // Common patterns for website mentions
+    const patterns = [
+      /visit us at\s+([a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/i,
+      /website\s*:\s*(https?:\/\/[^\s,]+)/i,
+      /available at\s+(https?:\/\/[^\s,]+)/i,
+      /check out\s+(https?:\/\/[^\s,]+)/i,
+      /official site\s*:\s*(https?:\/\/[^\s,]+)/i,
+      /homepage\s*:\s*(https?:\/\/[^\s,]+)/i,
+      /website\s*:\s*([a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/i,
+      /\b((?:https?:\/\/)?[a-zA-Z0-9][a-zA-Z0-9-]*\.ai(?:\/[^\s,]*)?)\b/i,
+      /\b((?:https?:\/\/)?[a-zA-Z0-9][a-zA-Z0-9-]*\.app(?:\/[^\s,]*)?)\b/i,
+      /\b((?:https?:\/\/)?[a-zA-Z0-9][a-zA-Z0-9-]*\.dev(?:\/[^\s,]*)?)\b/i
+    ];
+
+    for (const pattern of patterns) {
+      const patternMatch = pageText.match(pattern);
+      if (patternMatch && patternMatch[1]) {
+        const url = patternMatch[1].startsWith('http') ? patternMatch[1] : `https://${patternMatch[1]}`;
+        const host = new URL(url).hostname.replace(/^www\./, '').toLowerCase();
+
+        // How prominent is this domain on the page: mentions and header links
+        const mentionCount = pageText.toLowerCase().split(host).length - 1;
+        const hasHeaderLink = Array.from(document.querySelectorAll(`a[href*="${host}"]`))
+          .some(link => link.getBoundingClientRect().top < 300);
+
+        return { url, mentionCount, hasHeaderLink };
+      }
+    }
+
+    return null;
+  });
+
+  if (!match) {
+    return [];
+  }
+
+  const isProminent = match.hasHeaderLink ? match.mentionCount >= 3 : match.mentionCount > 5;
+  if (!isProminent) {
+    console.log(`${match.url} is only mentioned ${match.mentionCount} times on the page, likely a false positive`);
+  }
+
+  return [{ url: match.url, confidence: isProminent ? 0.4 : 0.1 }];
+}
+
+/**
+ * Derive the website from the domain of a non-webmail address on the page
+ * @param {Object} context - Resolver context ({browser, page, $})
+ * @returns {Array} - Candidates ({url, confidence})
+ */
+async function resolveFromEmailDomain({ page }) {
+  const pageText = await page.evaluate(() => document.body.innerText);
+  const pageEmails = findEmailsInText(pageText);
+
+  const webmailDomains = ['gmail.com', 'yahoo.com', 'hotmail.com', 'outlook.com', 'icloud.com', 'aol.com', 'protonmail.com', 'mail.com'];
+  const domains = pageEmails
+    .filter(email => !isPlaceholderEmail(email))
+    .map(email => email.split('@')[1])
+    .filter(domain => !webmailDomains.some(webmail => domain.includes(webmail)));
+
+  return domains.length > 0 ? [{ url: `https://${domains[0]}`, confidence: 0.3 }] : [];
+}
+
+// Resolvers in the order they are tried
+const websiteResolvers = [
+  { name: 'visit-button', resolve: resolveFromVisitButton },
+  { name: 'redirect-link', resolve: resolveFromRedirectLink },
+  { name: 'call-to-action', resolve: resolveFromCallToAction },
+  { name: 'external-link', resolve: resolveFromExternalLinks },
+  { name: 'text-pattern', resolve: resolveFromTextPatterns },
+  { name: 'email-domain', resolve: resolveFromEmailDomain }
+];
+
+/**
+ * Add a resolver to the registry
+ * @param {Object} resolver - Resolver ({name, resolve}); resolve(context) returns [{url, confidence}]
+ * @param {Object} options - Registration options
+ * @param {string} options.before - Name of the resolver to insert in front of (appended otherwise)
+ */
+function registerWebsiteResolver(resolver, options = {}) {
+  const existingIndex = websiteResolvers.findIndex(registered => registered.name === resolver.name);
+  if (existingIndex !== -1) {
+    websiteResolvers.splice(existingIndex, 1);
+  }
+
+  const beforeIndex = options.before ? websiteResolvers.findIndex(registered => registered.name === options.before) : -1;
+  if (beforeIndex === -1) {
+    websiteResolvers.push(resolver);
+  } else {
+    websiteResolvers.splice(beforeIndex, 0, resolver);
+  }
+}
+
+/**
+ * Resolve the product website by running the registered resolvers in order.
+ * Stops at the first resolver that produces a usable candidate, since later
+ * resolvers are both weaker and more expensive.
+ * @param {Object} context - Resolver context ({browser, page, $})
+ * @returns {Object} - Chosen website ({url, domain, strategy, confidence, redirectChain, candidates})
+ */
+async function resolveProductWebsite(context) {
+  const candidates = [];
+
+  for (const resolver of websiteResolvers) {
+    try {
+      const resolved = await resolver.resolve(context);
+      for (const candidate of resolved) {
+        candidates.push({ ...candidate, strategy: resolver.name });
+        console.log(`Website candidate from ${resolver.name}: ${candidate.url} (confidence ${candidate.confidence})`);
+      }
+    } catch (error) {
+      console.log(`Error in website resolver ${resolver.name}: ${error.message}`);
+    }
+
+    if (candidates.some(candidate => candidate.confidence >= MIN_CONFIDENCE)) {
+      break;
+    }
+  }
+
+  const best = candidates
+    .filter(candidate => candidate.confidence >= MIN_CONFIDENCE)
+    .sort((a, b) => b.confidence - a.confidence)[0];
+
+  if (!best) {
+    return { url: '', domain: '', strategy: '', confidence: '', redirectChain: [], candidates };
+  }
+
+  // Tracking parameters differ per link, so compare and store the canonical form
+  const url = canonicalizeUrl(best.url) || best.url;
+  return {
+    url,
+    domain: getRegistrableDomain(url),
+    strategy: best.strategy,
+    confidence: best.confidence,
+    redirectChain: best.redirectChain || [],
+    candidates
+  };
+}
+
+module.exports = {
+  registerWebsiteResolver,
+  resolveProductWebsite
+};